@@ -2,7 +2,7 @@ import { DisconnectReason } from 'baileys';
 import { Boom } from '@hapi/boom';
 import qrcode from 'qrcode-terminal';
 import chalk from 'chalk';
-import { logger, pino, pluginManager } from '#internals.js';
+import { EventRecorder, logger, pino, pluginManager } from '#internals.js';
 import { initSession, listSessions } from '#auth.js';
 import { getConnectionConfig } from './getConnectionConfig.js';
 
@@ -90,6 +90,7 @@ export class Client {
 
   #flag = '';
   #plugins = null;
+  #recorder = null;
   #qr = null;
   #state = ConnectionState.DISCONNECTED;
   #cancelWait = null;
@@ -111,6 +112,8 @@ export class Client {
   #silent;
   #sync;
   #logger;
+  #pluginOptions;
+  #record;
 
   // Callbacks
   #onPairing;
@@ -118,6 +121,7 @@ export class Client {
   #onReconnect;
   #onDisconnect;
   #onStateChange;
+  #onError;
 
   constructor(options = {}) {
     const {
@@ -131,6 +135,9 @@ export class Client {
       onReconnect = null,
       onDisconnect = null,
       onStateChange = null,
+      onError = null,
+      plugins = {},
+      record = null,
       socketConfig = {},
     } = options;
 
@@ -140,12 +147,15 @@ export class Client {
     this.#backoff = backoff;
     this.#silent = silent;
     this.#sync = sync;
+    this.#pluginOptions = plugins;
+    this.#record = typeof record === 'string' ? { file: record } : record;
     this.#logger = silent ? silentLogger : logger;
     this.#onPairing = onPairing;
     this.#onConnect = onConnect;
     this.#onReconnect = onReconnect;
     this.#onDisconnect = onDisconnect;
     this.#onStateChange = onStateChange;
+    this.#onError = onError;
   }
 
   get state() {
@@ -190,6 +200,7 @@ export class Client {
       reconnect: this.#onReconnect,
       disconnect: this.#onDisconnect,
       stateChange: this.#onStateChange,
+      error: this.#onError,
     };
 
     const callback = callbacks[event];
@@ -276,6 +287,14 @@ export class Client {
     this.id = session.id;
     this.#flag = `CLIENT-${session.id}`;
 
+    if (this.#record?.file) {
+      this.#recorder = new EventRecorder(sock, {
+        ...this.#record,
+        file: this.#record.file.replaceAll('{session}', session.id),
+        session: session.id,
+      }).start();
+    }
+
     this.sock.ev.on('connection.update', (update) => {
       this.#handleConnectionUpdate(update);
     });
@@ -306,7 +325,11 @@ export class Client {
 
     if (!this.#plugins || this.#plugins.destroyed) {
       try {
-        this.#plugins = await pluginManager(this.sock);
+        this.#plugins = await pluginManager(this.sock, {
+          ...this.#pluginOptions,
+          session: this.id,
+          onError: (info) => this.#emit('error', info),
+        });
       } catch (err) {
         this.#logger.error(err, `[${this.#flag}] Failed to initialize plugins`);
       }
@@ -549,6 +572,11 @@ export class Client {
       this.#plugins = null;
     }
 
+    this.#recorder?.stop().catch((err) => {
+      this.#logger.error(err, `[${this.#flag}] Failed to stop recorder`);
+    });
+    this.#recorder = null;
+
     if (!this.sock) return;
 
     try {
@@ -22,8 +22,51 @@ const db = {
 
 const plugins = {
   dir: 'plugins',
+  dirs: null,
+  packages: [],
   prefixes: ['.', '\\', '!'],
   defaultEvent: 'messages.upsert',
+  permissions: {
+    roles: {},
+    denied: null,
+    onDenied: null
+  },
+  limits: {
+    message: null,
+    onLimited: null
+  },
+  args: {
+    onInvalid: null
+  },
+  help: {
+    enable: false,
+    match: ['help', 'menu']
+  },
+  commands: {
+    strict: false,
+    suggest: {
+      enable: false,
+      message: 'Did you mean {command}?'
+    }
+  },
+  execution: {
+    timeout: 0,
+    serialChats: false
+  },
+  isolation: {
+    workers: 2,
+    memory: 256
+  },
+  messages: {
+    store: false,
+    ttl: '1d'
+  },
+  errors: {
+    log: true,
+    reply: null,
+    disableAfter: 0,
+    onError: null
+  },
   hmr: {
     enable: false,
     debounce: 200,
@@ -35,5 +78,6 @@ export default {
   db,
   socket,
   plugins,
+  owners: [],
   timeZone: 'Africa/Casablanca'
 }
\ No newline at end of file
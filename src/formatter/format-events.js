@@ -0,0 +1,216 @@
+import {
+  areJidsSameUser,
+  isJidGroup,
+  isLidUser,
+  jidNormalizedUser,
+  WAMessageStubType
+} from 'baileys';
+
+import { getPN, toNumber } from '#utils.js';
+import { userOf } from '#jid.js';
+import { formatMessage, PRESENCE, send, toContent, withMentions } from './format-message.js';
+
+const STATUS = ['error', 'pending', 'sent', 'delivered', 'read', 'played'];
+
+const ACTIONS = { add: 'join', remove: 'leave', promote: 'promote', demote: 'demote', modify: 'modify' };
+
+const toSeconds = (ms) => ms == null ? undefined : Math.floor(toNumber(ms) / 1000);
+
+const senderOf = (sock, key) => key?.fromMe
+  ? jidNormalizedUser(sock.user.lid)
+  : key?.participant || key?.remoteJid;
+
+const resolveOptions = (sock, { groupMetadata, getMessage } = {}) => ({
+  groupMetadata: groupMetadata ?? ((jid) => sock.groupMetadata(jid)),
+  getMessage: getMessage ?? null,
+});
+
+const subjectOf = async (roomId, { groupMetadata }) => {
+  if (!isJidGroup(roomId)) return null;
+  const metadata = await groupMetadata(roomId).catch(() => null);
+  return metadata?.subject ?? null;
+};
+
+const targetOf = async (sock, key, { getMessage }) => {
+  const raw = await getMessage?.(key);
+  return raw?.message ? formatMessage(sock, raw) : null;
+};
+
+const context = (sock, { jid, roomId, known = [] }) => ({
+  jid,
+  roomId,
+  isGroup: isJidGroup(roomId),
+  isLid: isLidUser(jid),
+  senderIs(id) {
+    return !!this.jid && areJidsSameUser(this.jid, id)
+  },
+  pn() {
+    return this.jid ? getPN(sock, this.jid) : Promise.resolve(null)
+  },
+  reply(content, options) {
+    return send(sock, roomId, withMentions(toContent(content), [...known, this.jid]), options)
+  },
+  typing(state = true) {
+    return sock.sendPresenceUpdate(PRESENCE[state] ?? state, roomId)
+  },
+});
+
+const quoting = (sock, roomId, target, known) => ({
+  reply(content, options) {
+    const quoted = target ? { quoted: target.raw } : {};
+    return send(sock, roomId, withMentions(toContent(content), [...known, this.jid]), { ...quoted, ...options })
+  },
+});
+
+export const formatReaction = async (sock, { key, reaction }, options) => {
+  const roomId = key.remoteJid ?? reaction?.key?.remoteJid;
+  const jid = senderOf(sock, reaction?.key);
+  const target = await targetOf(sock, key, resolveOptions(sock, options));
+
+  return {
+    ...context(sock, { jid, roomId }),
+    ...quoting(sock, roomId, target, [target?.jid]),
+    type: 'reaction',
+    id: key.id,
+    emoji: reaction?.text || null,
+    removed: !reaction?.text,
+    fromMe: !!reaction?.key?.fromMe,
+    timestamp: toSeconds(reaction?.senderTimestampMs),
+    key, reaction, target,
+    raw: { key, reaction },
+    react(emoji) {
+      return send(sock, roomId, { react: { text: emoji ?? '', key } })
+    },
+  };
+};
+
+const actionOf = (update) => {
+  if (update.message === null || update.messageStubType === WAMessageStubType.REVOKE) return 'delete';
+  if (update.message?.editedMessage || update.message?.protocolMessage?.editedMessage) return 'edit';
+  if (update.pollUpdates) return 'poll';
+  if (update.status != null) return 'status';
+  return 'update';
+};
+
+export const formatUpdate = async (sock, { key, update = {} }, options) => {
+  const roomId = key.remoteJid;
+  const jid = senderOf(sock, key);
+  const action = actionOf(update);
+  const target = await targetOf(sock, key, resolveOptions(sock, options));
+
+  const edited = update.message?.editedMessage?.message ?? update.message?.protocolMessage?.editedMessage;
+  const message = action === 'edit' && edited
+    ? formatMessage(sock, { key, message: edited, messageTimestamp: update.messageTimestamp })
+    : null;
+
+  return {
+    ...context(sock, { jid, roomId }),
+    ...quoting(sock, roomId, target, [target?.jid]),
+    type: 'update',
+    action,
+    id: key.id,
+    fromMe: !!key.fromMe,
+    status: STATUS[update.status] ?? null,
+    body: message?.body,
+    key, update, message, target,
+    raw: { key, update },
+    react(emoji) {
+      return send(sock, roomId, { react: { text: emoji ?? '', key } })
+    },
+  };
+};
+
+const toParticipant = async (sock, participant) => {
+  const jid = typeof participant === 'string' ? participant : participant?.id;
+  const phoneNumber = participant?.phoneNumber;
+  const pn = phoneNumber ? userOf(phoneNumber) : await getPN(sock, jid).catch(() => null);
+
+  return {
+    jid,
+    pn,
+    tag: `@${userOf(jid)}`,
+    isLid: isLidUser(jid),
+    admin: participant?.admin ?? null,
+  };
+};
+
+export const formatParticipants = async (sock, data, options) => {
+  const { id: roomId, author, participants = [], action } = data;
+  const list = await Promise.all(participants.map(p => toParticipant(sock, p)));
+  const jids = list.map(p => p.jid);
+
+  return {
+    ...context(sock, { jid: author || null, roomId, known: jids }),
+    type: 'participants',
+    action: ACTIONS[action] ?? action,
+    author: author || null,
+    participants: list,
+    self: !author || jids.some(jid => areJidsSameUser(jid, author)),
+    subject: await subjectOf(roomId, resolveOptions(sock, options)),
+    raw: data,
+  };
+};
+
+export const formatGroupUpdate = async (sock, data, options) => {
+  const { id: roomId, author, ...changes } = data;
+
+  return {
+    ...context(sock, { jid: author || null, roomId }),
+    type: 'group',
+    author: author || null,
+    changes,
+    changed: Object.keys(changes),
+    subject: changes.subject ?? await subjectOf(roomId, resolveOptions(sock, options)),
+    raw: data,
+  };
+};
+
+export const formatCall = async (sock, call) => {
+  const roomId = call.isGroup && call.groupJid ? call.groupJid : call.chatId ?? call.from;
+
+  return {
+    ...context(sock, { jid: call.from, roomId }),
+    type: 'call',
+    id: call.id,
+    status: call.status,
+    isOffer: call.status === 'offer',
+    isVideo: !!call.isVideo,
+    offline: !!call.offline,
+    timestamp: call.date ? toSeconds(new Date(call.date).getTime()) : undefined,
+    raw: call,
+    reject() {
+      return sock.rejectCall(call.id, call.from)
+    },
+  };
+};
+
+export const formatPresence = async (sock, data) => {
+  const { id: roomId, presences = {} } = data;
+  const list = Object.entries(presences).map(([jid, p]) => ({
+    jid,
+    presence: p?.lastKnownPresence ?? null,
+    lastSeen: p?.lastSeen ?? null,
+  }));
+
+  return {
+    ...context(sock, { jid: list[0]?.jid ?? null, roomId }),
+    type: 'presence',
+    presence: list[0]?.presence ?? null,
+    presences: list,
+    raw: data,
+  };
+};
+
+const FORMATTERS = {
+  'messages.reaction': formatReaction,
+  'messages.update': formatUpdate,
+  'group-participants.update': formatParticipants,
+  'groups.update': formatGroupUpdate,
+  'call': formatCall,
+  'presence.update': formatPresence,
+};
+
+export const formatEvent = async (sock, data, event, options) => {
+  const format = FORMATTERS[event];
+  return format ? format(sock, data, options) : data;
+};
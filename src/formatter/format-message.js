@@ -15,6 +15,9 @@ import {
   toBase64,
   getPN
 } from '#utils.js';
+import { userOf } from '#jid.js';
+
+import { extractInteractive, parsePollVote } from './interactive.js';
 
 const extractMessage = (message) => {
   let type = getContentType(message);
@@ -47,9 +50,37 @@ const extractContent = (message = {}) => ({
     thumbnail: message.jpegThumbnail,
 });
 
+const extractAll = (type, message) => {
+  const content = extractContent(message);
+  const interactive = extractInteractive(type, message);
+  return { ...content, ...interactive, body: interactive.body ?? content.body };
+};
+
 const load = async (x) => downloadMediaMessage(x, 'buffer', {});
 
-export const formatMessage = (sock, raw) => {
+const MENTION = /@(\d{5,16})\b/g;
+
+export const toContent = (content) => isString(content) ? { text: content } : content;
+
+// resolves @number to a known jid first, so LID mentions keep their server
+export const withMentions = (content, known = []) => {
+  const text = content.text ?? content.caption;
+  if (content.mentions || !isString(text)) return content;
+
+  const mentions = [...new Set([...text.matchAll(MENTION)].map(([, user]) =>
+    known.find(jid => userOf(jid) === user) ?? `${user}@s.whatsapp.net`
+  ))];
+  return mentions.length ? { ...content, mentions } : content;
+};
+
+export const send = async (sock, jid, content, options) => {
+  const sent = await sock.sendMessage(jid, content, options);
+  return sent?.message ? formatMessage(sock, sent) : sent;
+};
+
+export const PRESENCE = { true: 'composing', false: 'paused' };
+
+export const formatMessage = (sock, raw, { getMessage } = {}) => {
   const myId = jidNormalizedUser(sock.user.lid);
   const [type, messageData] = extractMessage(raw.message);
 
@@ -99,7 +130,8 @@ export const formatMessage = (sock, raw) => {
     device: getDevice(id),
     isGroup: isJidGroup(roomId),
     timeString: getTimeString(messageTimestamp),
-    ...extractContent(messageData),
+    ...extractAll(type, messageData),
+    ...(type === 'pollUpdateMessage' && parsePollVote(sock, raw, messageData, getMessage)),
     key, raw,
     contextInfo: {
       stanzaId: id,
@@ -115,11 +147,31 @@ export const formatMessage = (sock, raw) => {
     pn() {
       return getPN(sock, this.jid)
     },
+    reply(content, options) {
+      const known = [...(this.mentions ?? []), this.jid, this.quoted?.jid];
+      return send(sock, roomId, withMentions(toContent(content), known), { quoted: this.raw, ...options })
+    },
+    react(emoji) {
+      return send(sock, roomId, { react: { text: emoji ?? '', key: this.key } })
+    },
+    async edit(content) {
+      if (!this.fromMe) throw new Error('[Formatter] Only messages sent by the bot can be edited');
+      return send(sock, roomId, { ...withMentions(toContent(content), this.mentions), edit: this.key })
+    },
+    delete() {
+      return send(sock, roomId, { delete: this.key })
+    },
+    forward(jid, options) {
+      return send(sock, jid, { forward: this.raw }, options)
+    },
+    typing(state = true) {
+      return sock.sendPresenceUpdate(PRESENCE[state] ?? state, roomId)
+    },
     quoted: quotedData ? {
       type: quotedType,
       jid: quotedSender,
       id: quotedId,
-      ...extractContent(quotedData),
+      ...extractAll(quotedType, quotedData),
       key: quotedKey,
       contextInfo: {
         stanzaId: quotedId,
@@ -138,6 +190,10 @@ export const formatMessage = (sock, raw) => {
       },
       pn() {
         return getPN(sock, this.jid)
+      },
+      reply(content, options) {
+        const known = [...(this.mentions ?? []), this.jid];
+        return send(sock, roomId, withMentions(toContent(content), known), { quoted: this.raw, ...options })
       }
     }: undefined,
   }
@@ -1,11 +1,11 @@
 import { formatMessage } from './format-message.js';
 
-export const formatter = (wa, event, eventName) => {
+export const formatter = (wa, event, eventName, options) => {
   eventName ??= 'messages.upsert';
   
   switch (eventName) {
     case 'messages.upsert':
-      return formatMessage(wa, event);
+      return formatMessage(wa, event, options);
     default: return event;
   }
-}
\ No newline at end of file
+}
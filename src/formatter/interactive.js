@@ -0,0 +1,133 @@
+import { createHash } from 'crypto';
+import { decryptPollVote, jidNormalizedUser } from 'baileys';
+import { toNumber } from '#utils.js';
+
+const sha256 = (value) => createHash('sha256').update(value).digest();
+
+const parseJSON = (json) => {
+  try {
+    return JSON.parse(json);
+  } catch {
+    return null;
+  }
+};
+
+const VCARD_NUMBER = /^(?:item\d+\.)?TEL([^:]*):(.+)$/gim;
+
+const parseVcard = (vcard = '') => {
+  const numbers = [...vcard.matchAll(VCARD_NUMBER)]
+    .map(([, params, tel]) => /waid=(\d+)/i.exec(params)?.[1] ?? tel.replace(/\D/g, ''))
+    .filter(Boolean);
+  return {
+    numbers,
+    jids: numbers.map(n => `${n}@s.whatsapp.net`),
+  };
+};
+
+const toContact = ({ displayName, vcard } = {}) => ({
+  name: displayName,
+  vcard,
+  ...parseVcard(vcard),
+});
+
+const toLocation = (data, isLive) => ({
+  latitude: data.degreesLatitude,
+  longitude: data.degreesLongitude,
+  name: data.name,
+  address: data.address,
+  url: data.url,
+  accuracy: data.accuracyInMeters,
+  comment: data.comment ?? data.caption,
+  isLive,
+});
+
+const toPoll = (data) => ({
+  name: data.name,
+  options: (data.options ?? []).map(o => o.optionName),
+  selectableCount: data.selectableOptionsCount ?? 0,
+});
+
+const isPollCreation = (type) => type?.startsWith('pollCreationMessage');
+
+const PARSERS = {
+  buttonsResponseMessage: (d) => ({ body: d.selectedDisplayText, selectedId: d.selectedButtonId }),
+  listResponseMessage: (d) => ({ body: d.title, selectedId: d.singleSelectReply?.selectedRowId }),
+  templateButtonReplyMessage: (d) => ({ body: d.selectedDisplayText, selectedId: d.selectedId }),
+  interactiveResponseMessage: (d) => {
+    const flow = d.nativeFlowResponseMessage;
+    const params = flow?.paramsJson ? parseJSON(flow.paramsJson) : null;
+    return { body: d.body?.text, selectedId: params?.id ?? flow?.name };
+  },
+  buttonsMessage: (d) => ({ body: d.contentText ?? d.text }),
+  listMessage: (d) => ({ body: d.description ?? d.title }),
+  templateMessage: (d) => ({ body: (d.hydratedTemplate ?? d.hydratedFourRowTemplate)?.hydratedContentText }),
+  interactiveMessage: (d) => ({ body: d.body?.text }),
+  locationMessage: (d) => ({ location: toLocation(d, false) }),
+  liveLocationMessage: (d) => ({ body: d.caption, location: toLocation(d, true) }),
+  contactMessage: (d) => ({ contacts: [toContact(d)] }),
+  contactsArrayMessage: (d) => ({ contacts: (d.contacts ?? []).map(toContact) }),
+  eventMessage: (d) => ({
+    body: d.name,
+    event: {
+      name: d.name,
+      description: d.description,
+      location: d.location ? toLocation(d.location, false) : undefined,
+      joinLink: d.joinLink,
+      startTime: toNumber(d.startTime),
+      endTime: toNumber(d.endTime),
+      isCanceled: !!d.isCanceled,
+    },
+  }),
+};
+
+export const extractInteractive = (type, data) => {
+  if (!data || typeof data !== 'object') return {};
+  if (isPollCreation(type)) return { body: data.name, poll: toPoll(data) };
+  return PARSERS[type]?.(data) ?? {};
+};
+
+// candidates cover both LID and PN addressing, as the vote is signed with whichever the sender used
+const authorsOf = (sock, raw) => {
+  const { key } = raw;
+  const jids = key.fromMe
+    ? [sock.user?.lid, sock.user?.id]
+    : [key.participant, key.participantAlt, raw.participant, key.remoteJid, key.remoteJidAlt];
+  return [...new Set(jids.filter(Boolean).map(jidNormalizedUser))];
+};
+
+const decrypt = (sock, raw, poll, vote, pollEncKey) => {
+  for (const pollCreatorJid of authorsOf(sock, poll)) {
+    for (const voterJid of authorsOf(sock, raw)) {
+      try {
+        return decryptPollVote(vote, { pollEncKey, pollCreatorJid, pollMsgId: poll.key.id, voterJid });
+      } catch {
+        // wrong jid pair, try the next one
+      }
+    }
+  }
+  return null;
+};
+
+export const parsePollVote = (sock, raw, data, getMessage) => {
+  const pollKey = data.pollCreationMessageKey;
+  const stored = pollKey?.id ? getMessage?.({ remoteJid: raw.key.remoteJid, id: pollKey.id }) : null;
+  const poll = typeof stored?.then === 'function' ? null : stored;
+
+  const [, creation] = Object.entries(poll?.message ?? {}).find(([type]) => isPollCreation(type)) ?? [];
+  const secret = poll?.message?.messageContextInfo?.messageSecret;
+  const vote = creation && secret && data.vote ? decrypt(sock, raw, poll, data.vote, secret) : null;
+
+  const details = creation ? toPoll(creation) : { name: undefined, options: [], selectableCount: 0 };
+  const hashes = new Map(details.options.map(o => [sha256(o).toString('hex'), o]));
+
+  return {
+    poll: {
+      id: pollKey?.id,
+      key: pollKey,
+      ...details,
+      selected: vote
+        ? vote.selectedOptions.map(h => hashes.get(Buffer.from(h).toString('hex'))).filter(o => o !== undefined)
+        : null,
+    },
+  };
+};
@@ -0,0 +1,143 @@
+import { parseDuration } from '#utils.js';
+
+const TYPES = new Set(['string', 'number', 'duration', 'mention', 'flag', 'rest']);
+
+const TOKEN = /"((?:\\.|[^"\\])*)"|'((?:\\.|[^'\\])*)'|(\S+)/g;
+
+export class ArgumentError extends Error {
+  constructor(message, { arg } = {}) {
+    super(message);
+    this.name = 'ArgumentError';
+    this.arg = arg;
+  }
+}
+
+const tokenize = (input) => [...input.matchAll(TOKEN)].map(m => ({
+  value: m[3] ?? (m[1] ?? m[2]).replace(/\\(.)/g, '$1'),
+  quoted: m[3] === undefined,
+  index: m.index,
+}));
+
+export const compileArgs = (schema) => {
+  if (schema == null) return null;
+  if (!Array.isArray(schema)) throw new TypeError('[Args] Schema must be an array');
+
+  const positional = [];
+  const flags = new Map();
+
+  for (const def of schema) {
+    const arg = { type: 'string', required: false, ...def };
+
+    if (!arg.name) throw new TypeError('[Args] Argument is missing a name');
+    if (!TYPES.has(arg.type)) throw new TypeError(`[Args] Unknown type for ${arg.name}: ${arg.type}`);
+
+    if (arg.type === 'flag' || arg.flag) {
+      for (const key of [arg.name, arg.alias].flat().filter(Boolean)) flags.set(key, arg);
+    } else {
+      if (positional.at(-1)?.type === 'rest') throw new TypeError('[Args] `rest` must be the last positional argument');
+      positional.push(arg);
+    }
+  }
+
+  return { positional, flags };
+};
+
+const resolveMention = (value, ctx) => {
+  const digits = value.replace(/^@\+?/, '');
+  if (!/^\d+$/.test(digits)) return null;
+  return ctx.mentions?.find(jid => jid.split('@')[0].split(':')[0] === digits)
+    ?? `${digits}@s.whatsapp.net`;
+};
+
+const convert = (arg, value, ctx) => {
+  let result = value;
+
+  switch (arg.type) {
+    case 'number':
+      result = Number(value);
+      if (value === '' || Number.isNaN(result)) throw new ArgumentError(`\`${arg.name}\` must be a number`, { arg: arg.name });
+      break;
+    case 'duration':
+      result = parseDuration(value);
+      if (Number.isNaN(result)) throw new ArgumentError(`\`${arg.name}\` must be a duration (e.g. 10m, 1h30m)`, { arg: arg.name });
+      break;
+    case 'mention':
+      result = resolveMention(value, ctx);
+      if (!result) throw new ArgumentError(`\`${arg.name}\` must be a mention`, { arg: arg.name });
+      break;
+  }
+
+  if (arg.choices && !arg.choices.includes(result)) {
+    throw new ArgumentError(`\`${arg.name}\` must be one of: ${arg.choices.join(', ')}`, { arg: arg.name });
+  }
+  return result;
+};
+
+const fallback = (arg, ctx) => {
+  if (arg.type === 'flag') return arg.default ?? false;
+  if (arg.type === 'mention' && ctx.quoted?.jid) return ctx.quoted.jid;
+  if (arg.default !== undefined) {
+    return typeof arg.default === 'string' ? convert(arg, arg.default, ctx) : arg.default;
+  }
+  if (arg.required) throw new ArgumentError(`Missing \`${arg.name}\``, { arg: arg.name });
+  return undefined;
+};
+
+export const parseArgs = (schema, input, ctx) => {
+  const args = {};
+  const seen = new Set();
+  const tokens = tokenize(input ?? '');
+  let position = 0;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const option = !token.quoted && /^--?[a-z]/i.exec(token.value);
+
+    if (option) {
+      const [key, inline] = token.value.replace(/^--?/, '').split(/=(.*)/s);
+      const arg = schema.flags.get(key);
+      if (!arg) throw new ArgumentError(`Unknown option \`${token.value}\``);
+
+      if (arg.type === 'flag') {
+        args[arg.name] = true;
+      } else {
+        const value = inline ?? tokens[++i]?.value;
+        if (value == null) throw new ArgumentError(`\`${arg.name}\` needs a value`, { arg: arg.name });
+        args[arg.name] = convert(arg, value, ctx);
+      }
+      seen.add(arg.name);
+      continue;
+    }
+
+    const arg = schema.positional[position++];
+    if (!arg) throw new ArgumentError(`Unexpected argument \`${token.value}\``);
+
+    if (arg.type === 'rest') {
+      args[arg.name] = input.slice(token.index).trim();
+      seen.add(arg.name);
+      break;
+    }
+
+    args[arg.name] = convert(arg, token.value, ctx);
+    seen.add(arg.name);
+  }
+
+  for (const arg of [...schema.positional, ...new Set(schema.flags.values())]) {
+    if (!seen.has(arg.name)) args[arg.name] = fallback(arg, ctx);
+  }
+
+  return args;
+};
+
+export const formatUsage = (schema, command = '') => {
+  const parts = schema.positional.map(({ name, type, required }) => {
+    const label = type === 'rest' ? `${name}...` : name;
+    return required ? `<${label}>` : `[${label}]`;
+  });
+
+  for (const arg of new Set(schema.flags.values())) {
+    parts.push(arg.type === 'flag' ? `[--${arg.name}]` : `[--${arg.name} <${arg.type}>]`);
+  }
+
+  return [command, ...parts].filter(Boolean).join(' ');
+};
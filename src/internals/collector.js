@@ -0,0 +1,88 @@
+import { areJidsSameUser } from 'baileys';
+import { parseDuration } from '#utils.js';
+
+const DEFAULT_TIMEOUT = 60_000;
+
+export class MessageCollector {
+  collected = [];
+  reason = null;
+  ended;
+
+  #match;
+  #max;
+  #consume;
+  #onEnd;
+  #timer = null;
+  #queue = [];
+  #waiting = [];
+  #done = false;
+  #resolveEnd;
+
+  constructor({ roomId, from, filter, timeout = DEFAULT_TIMEOUT, max = Infinity, consume = true, signal } = {}, onEnd) {
+    const senders = from == null ? null : [from].flat();
+    this.#match = (ctx) => (!roomId || ctx.roomId === roomId)
+      && (!senders || senders.some(jid => areJidsSameUser(ctx.jid, jid)))
+      && (!filter || filter(ctx));
+
+    this.#max = max;
+    this.#consume = consume;
+    this.#onEnd = onEnd;
+    this.ended = new Promise(resolve => { this.#resolveEnd = resolve; });
+
+    const ms = parseDuration(timeout);
+    if (Number.isNaN(ms)) throw new TypeError(`[Collector] Invalid timeout: ${timeout}`);
+    if (ms > 0 && ms !== Infinity) {
+      this.#timer = setTimeout(() => this.stop('timeout'), ms);
+    }
+
+    if (signal?.aborted) this.stop('aborted');
+    else signal?.addEventListener('abort', () => this.stop('aborted'), { once: true });
+  }
+
+  get active() {
+    return !this.#done;
+  }
+
+  // Returns true when the message was collected and should not reach plugins.
+  handle(ctx) {
+    if (this.#done) return false;
+
+    let matched;
+    try {
+      matched = this.#match(ctx);
+    } catch {
+      matched = false;
+    }
+    if (!matched) return false;
+
+    this.collected.push(ctx);
+    const waiter = this.#waiting.shift();
+    if (waiter) waiter(ctx);
+    else this.#queue.push(ctx);
+
+    if (this.collected.length >= this.#max) this.stop('limit');
+    return this.#consume;
+  }
+
+  next() {
+    if (this.#queue.length) return Promise.resolve(this.#queue.shift());
+    if (this.#done) return Promise.resolve(null);
+    return new Promise(resolve => this.#waiting.push(resolve));
+  }
+
+  async *[Symbol.asyncIterator]() {
+    let ctx;
+    while ((ctx = await this.next())) yield ctx;
+  }
+
+  stop(reason = 'stopped') {
+    if (this.#done) return;
+    this.#done = true;
+    this.reason = reason;
+
+    clearTimeout(this.#timer);
+    this.#waiting.splice(0).forEach(resolve => resolve(null));
+    this.#onEnd?.(this);
+    this.#resolveEnd({ reason, collected: this.collected });
+  }
+}
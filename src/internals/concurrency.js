@@ -0,0 +1,72 @@
+import { Semaphore } from 'async-mutex';
+import { SCOPES } from './scopes.js';
+
+export class TimeoutError extends Error {
+  constructor(message, { timeout } = {}) {
+    super(message);
+    this.name = 'TimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+export const compileConcurrency = (option) => {
+  if (option == null) return null;
+
+  const limits = typeof option === 'number' ? { global: option } : option;
+  return Object.entries(limits).map(([scope, max]) => {
+    if (!SCOPES[scope]) throw new Error(`[Concurrency] Unknown scope: ${scope}`);
+    if (!Number.isInteger(max) || max < 1) throw new Error(`[Concurrency] Invalid limit for ${scope}: ${max}`);
+    return { scope, max };
+  });
+};
+
+export const withTimeout = (run, ms, controller) => {
+  if (!(ms > 0)) return run();
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new TimeoutError(`Timed out after ${ms}ms`, { timeout: ms });
+      controller?.abort(err);
+      reject(err);
+    }, ms);
+  });
+
+  return Promise.race([run(), timeout]).finally(() => clearTimeout(timer));
+};
+
+export class KeyedSemaphore {
+  #entries = new Map();
+
+  async acquire(key, max) {
+    let entry = this.#entries.get(key);
+    if (!entry) {
+      entry = { semaphore: new Semaphore(max), users: 0 };
+      this.#entries.set(key, entry);
+    }
+
+    entry.users++;
+    const [, release] = await entry.semaphore.acquire();
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      release();
+      if (--entry.users === 0) this.#entries.delete(key);
+    };
+  }
+
+  async acquireAll(id, limits, ctx) {
+    const releases = [];
+    for (const { scope, max } of limits ?? []) {
+      const subject = SCOPES[scope](ctx);
+      if (subject) releases.push(await this.acquire(`${id}|${scope}|${subject}`, max));
+    }
+    return () => releases.reverse().forEach(release => release());
+  }
+
+  get size() {
+    return this.#entries.size;
+  }
+}
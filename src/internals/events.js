@@ -0,0 +1,7 @@
+export const EVENTS = new Set([
+  'messaging-history.set', 'chats.upsert', 'chats.update', 'chats.delete',
+  'contacts.upsert', 'contacts.update', 'messages.upsert', 'messages.update',
+  'messages.delete', 'messages.reaction', 'message-receipt.update',
+  'groups.update', 'group-participants.update', 'connection.update',
+  'creds.update', 'presence.update', 'blocklist.set', 'blocklist.update', 'call',
+]);
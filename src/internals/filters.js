@@ -0,0 +1,33 @@
+const CHATS = new Set(['group', 'private']);
+
+export const compileFilters = (plugin) => {
+  const { chat, types, fromMe, groups, ignoreForwarded, requireQuoted } = plugin;
+  const checks = [];
+
+  if (chat != null) {
+    if (!CHATS.has(chat)) throw new Error(`[Filters] Invalid chat: ${chat}`);
+    const isGroup = chat === 'group';
+    checks.push(ctx => !!ctx.isGroup === isGroup);
+  }
+
+  if (types != null) {
+    const set = new Set([types].flat());
+    checks.push(ctx => set.has(ctx.type));
+  }
+
+  if (fromMe != null) {
+    if (typeof fromMe !== 'boolean') throw new Error(`[Filters] Invalid fromMe: ${fromMe}`);
+    checks.push(ctx => !!ctx.fromMe === fromMe);
+  }
+
+  if (groups != null) {
+    const jids = new Set([groups].flat());
+    checks.push(ctx => jids.has(ctx.roomId));
+  }
+
+  if (ignoreForwarded) checks.push(ctx => !ctx.isForwarded);
+  if (requireQuoted) checks.push(ctx => !!ctx.quoted);
+
+  if (!checks.length) return null;
+  return (ctx) => checks.every(check => check(ctx));
+};
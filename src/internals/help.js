@@ -0,0 +1,20 @@
+const summary = ({ prefix, name, description }) =>
+  `  ${prefix}${name}${description ? ` — ${description}` : ''}`;
+
+export const renderMenu = (categories) => {
+  if (!categories.size) return 'No commands available.';
+
+  const sections = [...categories].map(([category, commands]) =>
+    [`*${category}*`, ...commands.map(summary)].join('\n')
+  );
+  return ['*Commands*', ...sections].join('\n\n');
+};
+
+export const renderCommand = ({ prefix, name, aliases, description, usage, examples, subcommands }) => [
+  `*${prefix}${name}*`,
+  description,
+  aliases.length && `Aliases: ${aliases.map(a => prefix + a).join(', ')}`,
+  `Usage: ${usage}`,
+  subcommands.length && `Subcommands:\n${subcommands.map(s => `  ${s.usage}${s.description ? ` — ${s.description}` : ''}`).join('\n')}`,
+  examples.length && `Examples:\n${examples.map(e => `  ${e}`).join('\n')}`,
+].filter(Boolean).join('\n');
@@ -2,4 +2,6 @@ export * from './config.js';
 export * from './logger.js';
 export * from './spinner.js';
 export * from './lmdb-manager.js';
-export * from './plugin-manager.js'
\ No newline at end of file
+export * from './plugin-store.js';
+export * from './plugin-manager.js';
+export * from './recorder.js';
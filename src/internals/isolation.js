@@ -0,0 +1,272 @@
+import { Worker } from 'worker_threads';
+
+const WORKER_FILE = new URL('./plugin-worker.js', import.meta.url);
+const STOP = Symbol.for('kitten.stop');
+const ABORT_GRACE = 1000;
+
+const SOCK_METHODS = new Set([
+  'sendMessage', 'sendPresenceUpdate', 'presenceSubscribe', 'readMessages', 'rejectCall',
+  'onWhatsApp', 'fetchStatus', 'profilePictureUrl', 'getBusinessProfile', 'updateBlockStatus',
+  'groupMetadata', 'groupParticipantsUpdate', 'groupUpdateSubject', 'groupUpdateDescription',
+  'groupSettingUpdate', 'groupToggleEphemeral', 'groupInviteCode', 'groupRevokeInvite',
+  'groupGetInviteInfo', 'groupRequestParticipantsList', 'groupRequestParticipantsUpdate',
+]);
+
+export const STORE_METHODS = new Set(['get', 'has', 'put', 'delete', 'increment', 'range', 'prune', 'clear']);
+
+const CTX_METHODS = {
+  load: (ctx) => ctx.load(),
+  pn: (ctx) => ctx.pn(),
+  loadQuoted: (ctx) => ctx.quoted?.load(),
+  pnQuoted: (ctx) => ctx.quoted?.pn(),
+  reply: (ctx, content, options) => ctx.reply(content, options),
+  react: (ctx, emoji) => ctx.react(emoji),
+  edit: (ctx, content) => ctx.edit(content),
+  delete: (ctx) => ctx.delete(),
+  forward: (ctx, jid, options) => ctx.forward(jid, options),
+  typing: (ctx, state) => ctx.typing(state),
+  reject: (ctx) => ctx.reject(),
+  replyQuoted: (ctx, content, options) => ctx.quoted?.reply(content, options),
+  stop: (ctx) => ctx.stop(),
+  awaitReply: (ctx, options) => ctx.awaitReply(options),
+};
+
+export class WorkerError extends Error {
+  constructor(message, { code } = {}) {
+    super(message);
+    this.name = 'WorkerError';
+    this.code = code;
+  }
+}
+
+export const serialize = (value, seen = new WeakMap()) => {
+  if (typeof value === 'function' || typeof value === 'symbol') return undefined;
+  if (value == null || typeof value !== 'object') return value;
+  if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer || value instanceof Date || value instanceof RegExp) return value;
+  if (value instanceof Error) return encodeError(value);
+  if (seen.has(value)) return seen.get(value);
+
+  if (Array.isArray(value)) {
+    const out = [];
+    seen.set(value, out);
+    for (const item of value) out.push(serialize(item, seen));
+    return out;
+  }
+
+  if (value instanceof Map) {
+    const out = new Map();
+    seen.set(value, out);
+    for (const [k, v] of value) out.set(k, serialize(v, seen));
+    return out;
+  }
+
+  if (value instanceof Set) {
+    const out = new Set();
+    seen.set(value, out);
+    for (const v of value) out.add(serialize(v, seen));
+    return out;
+  }
+
+  const out = {};
+  seen.set(value, out);
+  for (const [k, v] of Object.entries(value)) {
+    const item = serialize(v, seen);
+    if (item !== undefined) out[k] = item;
+  }
+  return out;
+};
+
+export const revive = (value) => {
+  if (value instanceof Uint8Array) {
+    return Buffer.isBuffer(value) ? value : Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+  }
+  if (Array.isArray(value)) return value.map(revive);
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    for (const key of Object.keys(value)) value[key] = revive(value[key]);
+  }
+  return value;
+};
+
+export const encodeError = (err) => ({
+  name: err?.name ?? 'Error',
+  message: err?.message ?? String(err),
+  stack: err?.stack,
+  code: err?.code,
+});
+
+export const decodeError = ({ name, message, stack, code } = {}) =>
+  Object.assign(new Error(message), { name, stack, ...(code != null && { code }) });
+
+export class WorkerPool {
+  #size;
+  #memory;
+  #onCrash;
+  #slots = [];
+  #queue = [];
+  #nextJob = 0;
+
+  constructor({ size = 2, memory = 256, onCrash = null } = {}) {
+    this.#size = Math.max(1, size);
+    this.#memory = memory;
+    this.#onCrash = onCrash;
+  }
+
+  run(target, sock, ctx, event, signal) {
+    const id = ++this.#nextJob;
+
+    return new Promise((resolve, reject) => {
+      const job = { sock, ctx, slot: null, timer: null, onAbort: null };
+
+      job.settle = (err, value) => {
+        const { slot } = job;
+        if (slot) {
+          slot.jobs.delete(id);
+          slot.worker.unref();
+        } else {
+          this.#queue = this.#queue.filter(j => j !== job);
+        }
+        clearTimeout(job.timer);
+        signal?.removeEventListener('abort', job.onAbort);
+        if (err) reject(err);
+        else resolve(value);
+        if (slot) this.#drain();
+      };
+
+      job.onAbort = () => {
+        const { slot } = job;
+        if (!slot) return job.settle(signal.reason);
+
+        slot.worker.postMessage({ type: 'abort', job: id, reason: encodeError(signal.reason) });
+        job.timer = setTimeout(() => {
+          if (slot.jobs.has(id)) this.#crash(slot, new WorkerError('Worker did not stop after abort'));
+        }, ABORT_GRACE);
+      };
+
+      job.start = (slot) => {
+        job.slot = slot;
+        slot.jobs.set(id, job);
+        slot.worker.ref();
+        slot.worker.postMessage({
+          type: 'run',
+          job: id,
+          ...target,
+          event,
+          ctx: serialize({ ...ctx, store: undefined, signal: undefined, _manager: undefined }),
+          methods: Object.keys(ctx).filter(k => typeof ctx[k] === 'function' && k in CTX_METHODS),
+          user: serialize(sock.user),
+        });
+      };
+
+      if (signal?.aborted) return reject(signal.reason);
+      signal?.addEventListener('abort', job.onAbort, { once: true });
+
+      const slot = this.#pick();
+      if (slot) job.start(slot);
+      else this.#queue.push(job);
+    });
+  }
+
+  // one job per worker, so terminating a stuck worker only fails its own job
+  #pick() {
+    const idle = this.#slots.find(s => !s.jobs.size);
+    if (idle) return idle;
+    return this.#slots.length < this.#size ? this.#spawn() : null;
+  }
+
+  #drain() {
+    while (this.#queue.length) {
+      const slot = this.#pick();
+      if (!slot) return;
+      this.#queue.shift().start(slot);
+    }
+  }
+
+  #spawn() {
+    const worker = new Worker(WORKER_FILE, {
+      resourceLimits: { maxOldGenerationSizeMb: this.#memory },
+    });
+    const slot = { worker, jobs: new Map(), alive: true };
+
+    worker.unref();
+    worker.on('message', (msg) => this.#onMessage(slot, msg));
+    worker.on('error', (err) => this.#crash(slot, err));
+    worker.on('exit', (code) => this.#crash(slot, new WorkerError(`Worker exited with code ${code}`, { code })));
+
+    this.#slots.push(slot);
+    return slot;
+  }
+
+  #crash(slot, err) {
+    if (!slot.alive) return;
+    slot.alive = false;
+    this.#slots = this.#slots.filter(s => s !== slot);
+    slot.worker.terminate();
+
+    const error = new WorkerError(`[Isolate] Worker crashed: ${err?.message ?? err}`, { code: err?.code });
+    for (const job of [...slot.jobs.values()]) job.settle(error);
+    this.#onCrash?.(error);
+  }
+
+  #onMessage(slot, msg) {
+    const job = slot.jobs.get(msg.job);
+
+    switch (msg.type) {
+      case 'done':
+        job?.settle(null, msg.stop ? STOP : undefined);
+        break;
+      case 'fail':
+        job?.settle(decodeError(msg.error));
+        break;
+      case 'call':
+        Promise.resolve()
+          .then(() => {
+            if (!job) throw new WorkerError('Job is no longer running');
+            return this.#call(job, msg);
+          })
+          .then(
+            (value) => slot.worker.postMessage({ type: 'reply', call: msg.call, value: serialize(value) }),
+            (err) => slot.worker.postMessage({ type: 'reply', call: msg.call, error: encodeError(err) })
+          );
+        break;
+    }
+  }
+
+  #call({ sock, ctx }, { target, method, args, scope }) {
+    const params = revive(args ?? []);
+
+    if (target === 'sock') {
+      if (!SOCK_METHODS.has(method)) throw new TypeError(`[Isolate] sock.${method} is not available in isolated plugins`);
+      if (typeof sock[method] !== 'function') throw new TypeError(`sock.${method} is not a function`);
+      return sock[method](...params);
+    }
+
+    if (target === 'store') {
+      if (!STORE_METHODS.has(method)) throw new TypeError(`store.${method} is not a function`);
+      const store = scope?.length ? ctx.store.scope(...scope) : ctx.store;
+      return method === 'range' ? [...store.range(...params)] : store[method](...params);
+    }
+
+    const fn = CTX_METHODS[method];
+    if (!fn) throw new TypeError(`ctx.${method} is not available`);
+    return fn(ctx, ...params);
+  }
+
+  destroy() {
+    const error = new WorkerError('[Isolate] Worker pool destroyed');
+    const slots = this.#slots;
+    const queued = this.#queue;
+    this.#slots = [];
+    this.#queue = [];
+
+    for (const job of queued) job.settle(error);
+    for (const slot of slots) {
+      slot.alive = false;
+      slot.worker.terminate();
+      for (const job of [...slot.jobs.values()]) job.settle(error);
+    }
+  }
+
+  get size() {
+    return this.#slots.length;
+  }
+}
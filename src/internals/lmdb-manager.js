@@ -25,6 +25,11 @@ class LMDBDatabaseManager {
     return this.#db;
   }
 
+  configure(config) {
+    if (this.#db) throw new Error('[LMDBManager] Cannot configure an open database');
+    this.#config = { ...this.#config, ...config };
+  }
+
   get isOpen() {
     return this.#db !== null && !this.#isClosing;
   }
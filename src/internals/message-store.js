@@ -0,0 +1,41 @@
+import { deserialize, parseDuration, serializeMessage } from '#utils.js';
+import { PluginStore } from './plugin-store.js';
+
+const NAMESPACE = '_messages';
+
+export class MessageStore {
+  #store = new PluginStore(NAMESPACE);
+  #ttl;
+  #pruned = Date.now();
+
+  constructor({ ttl = '1d' } = {}) {
+    this.#ttl = parseDuration(ttl);
+    if (!(this.#ttl > 0)) throw new TypeError(`[MessageStore] Invalid ttl: ${ttl}`);
+  }
+
+  #key({ remoteJid, id }) {
+    return `${remoteJid}:${id}`;
+  }
+
+  async save(raw) {
+    if (!raw?.key?.remoteJid || !raw.key.id || !raw.message) return;
+    if (raw.message.reactionMessage || raw.message.protocolMessage) return;
+
+    await this.#store.put(this.#key(raw.key), serializeMessage(raw), { ttl: this.#ttl });
+
+    if (Date.now() - this.#pruned > this.#ttl) {
+      this.#pruned = Date.now();
+      await this.#store.prune();
+    }
+  }
+
+  get(key) {
+    if (!key?.remoteJid || !key.id) return null;
+    const value = this.#store.get(this.#key(key));
+    return value == null ? null : deserialize(value);
+  }
+
+  clear() {
+    return this.#store.clear();
+  }
+}
@@ -0,0 +1,110 @@
+const BUCKETS = [10, 50, 100, 250, 500, 1000, 2500, 5000, 10_000, Infinity];
+
+const createEntry = () => ({
+  invocations: 0,
+  successes: 0,
+  failures: 0,
+  skipped: 0,
+  latency: { count: 0, sum: 0, min: null, max: null, buckets: BUCKETS.map(() => 0) },
+  lastError: null,
+  lastRun: null,
+});
+
+const record = (entry, { outcome, duration, error, at }) => {
+  entry.invocations++;
+  entry.lastRun = at;
+
+  if (outcome === 'failure') {
+    entry.failures++;
+    entry.lastError = { message: error?.message ?? String(error), name: error?.name ?? null, at };
+  } else if (outcome === 'skipped') {
+    entry.skipped++;
+    return;
+  } else {
+    entry.successes++;
+  }
+
+  const { latency } = entry;
+  latency.count++;
+  latency.sum += duration;
+  latency.min = latency.min == null ? duration : Math.min(latency.min, duration);
+  latency.max = latency.max == null ? duration : Math.max(latency.max, duration);
+  latency.buckets[BUCKETS.findIndex(b => duration <= b)]++;
+};
+
+const percentile = ({ count, buckets, max }, p) => {
+  if (!count) return null;
+  const target = Math.ceil(count * p);
+  let seen = 0;
+  for (let i = 0; i < BUCKETS.length; i++) {
+    seen += buckets[i];
+    if (seen >= target) return Math.min(BUCKETS[i], max);
+  }
+  return max;
+};
+
+const snapshot = (entry) => {
+  const { latency } = entry;
+  return {
+    ...entry,
+    latency: {
+      count: latency.count,
+      min: latency.min,
+      max: latency.max,
+      avg: latency.count ? latency.sum / latency.count : null,
+      p50: percentile(latency, 0.5),
+      p95: percentile(latency, 0.95),
+      p99: percentile(latency, 0.99),
+      histogram: Object.fromEntries(BUCKETS.map((b, i) => [b === Infinity ? '+Inf' : `<=${b}`, latency.buckets[i]])),
+    },
+    lastError: entry.lastError && { ...entry.lastError },
+  };
+};
+
+export class PluginMetrics {
+  #plugins = new Map();
+
+  record(id, session, sample) {
+    let plugin = this.#plugins.get(id);
+    if (!plugin) {
+      plugin = { total: createEntry(), sessions: new Map() };
+      this.#plugins.set(id, plugin);
+    }
+
+    let perSession = plugin.sessions.get(session);
+    if (!perSession) {
+      perSession = createEntry();
+      plugin.sessions.set(session, perSession);
+    }
+
+    const at = Date.now();
+    record(plugin.total, { ...sample, at });
+    record(perSession, { ...sample, at });
+  }
+
+  stats({ id, session } = {}) {
+    const result = {};
+
+    for (const [pluginId, { total, sessions }] of this.#plugins) {
+      if (id != null && pluginId !== id) continue;
+
+      if (session !== undefined) {
+        const entry = sessions.get(session);
+        if (entry) result[pluginId] = snapshot(entry);
+        continue;
+      }
+
+      result[pluginId] = {
+        ...snapshot(total),
+        sessions: Object.fromEntries([...sessions].map(([s, entry]) => [s, snapshot(entry)])),
+      };
+    }
+
+    return result;
+  }
+
+  reset(id) {
+    if (id == null) this.#plugins.clear();
+    else this.#plugins.delete(id);
+  }
+}
@@ -0,0 +1,28 @@
+export const MIDDLEWARE_FILE = /^_middleware\.[jt]s$/;
+
+export const isMiddlewareFile = (filePath) => MIDDLEWARE_FILE.test(filePath.split(/[/\\]/).pop());
+
+export const normalizeMiddleware = (mod) => {
+  const value = mod?.default ?? mod?.use;
+  return [value].flat().filter(fn => typeof fn === 'function');
+};
+
+export const compose = (stack, final) => (sock, ctx) => {
+  let index = -1;
+
+  const run = (i) => {
+    if (i <= index) return Promise.reject(new Error('[Middleware] next() called multiple times'));
+    index = i;
+
+    const fn = i < stack.length ? stack[i] : final;
+    if (!fn) return Promise.resolve();
+
+    try {
+      return Promise.resolve(fn(sock, ctx, () => run(i + 1)));
+    } catch (err) {
+      return Promise.reject(err);
+    }
+  };
+
+  return run(0);
+};
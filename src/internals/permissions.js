@@ -0,0 +1,92 @@
+import { areJidsSameUser, jidNormalizedUser } from 'baileys';
+
+const METADATA_TTL = 60_000;
+
+const toJid = (id) => String(id).includes('@') ? jidNormalizedUser(id) : `${id}@s.whatsapp.net`;
+
+const sameUser = (a, b) => !!a && !!b && areJidsSameUser(a, b);
+
+const isAdmin = (participant) => participant?.admin === 'admin' || participant?.admin === 'superadmin';
+
+const findParticipant = (metadata, ...jids) => metadata?.participants?.find(p =>
+  [p.id, p.lid, p.phoneNumber].some(id => jids.some(jid => sameUser(id, jid)))
+);
+
+export class Permissions {
+  #sock;
+  #owners;
+  #roles;
+  #metadata = new Map();
+  #invalidate = ({ id }) => this.#metadata.delete(id);
+  #invalidateAll = (updates) => updates.forEach(this.#invalidate);
+
+  constructor(sock, { owners = [], roles } = {}) {
+    this.#sock = sock;
+    this.#owners = owners.map(toJid);
+    this.#roles = roles;
+    sock.ev.on('group-participants.update', this.#invalidate);
+    sock.ev.on('groups.update', this.#invalidateAll);
+  }
+
+  destroy() {
+    this.#sock.ev.off('group-participants.update', this.#invalidate);
+    this.#sock.ev.off('groups.update', this.#invalidateAll);
+    this.#metadata.clear();
+  }
+
+  async groupMetadata(roomId) {
+    const cached = this.#metadata.get(roomId);
+    if (cached && Date.now() - cached.at < METADATA_TTL) return cached.value;
+
+    const value = this.#sock.groupMetadata(roomId).catch(err => {
+      this.#metadata.delete(roomId);
+      throw err;
+    });
+    this.#metadata.set(roomId, { at: Date.now(), value });
+    return value;
+  }
+
+  async #isOwner(ctx) {
+    if (ctx.fromMe) return true;
+    if (!ctx.jid) return false;
+    if (this.#owners.some(owner => sameUser(owner, ctx.jid))) return true;
+    if (!ctx.isLid || typeof ctx.pn !== 'function') return false;
+
+    const pn = await ctx.pn().catch(() => null);
+    return !!pn && this.#owners.some(owner => sameUser(owner, toJid(pn)));
+  }
+
+  async #isGroupAdmin(ctx) {
+    if (!ctx.isGroup || !ctx.jid) return false;
+    const metadata = await this.groupMetadata(ctx.roomId);
+    return isAdmin(findParticipant(metadata, ctx.jid));
+  }
+
+  async #isBotAdmin(ctx) {
+    if (!ctx.isGroup) return false;
+    const { id, lid } = this.#sock.user ?? {};
+    const metadata = await this.groupMetadata(ctx.roomId);
+    return isAdmin(findParticipant(metadata, id, lid));
+  }
+
+  async has(permission, ctx) {
+    switch (permission) {
+      case 'owner': return this.#isOwner(ctx);
+      case 'group-admin': return this.#isGroupAdmin(ctx);
+      case 'bot-admin': return this.#isBotAdmin(ctx);
+    }
+
+    const role = this.#roles.get(permission);
+    if (typeof role !== 'function') {
+      throw new Error(`[Permissions] Unknown permission: ${permission}`);
+    }
+    return !!(await role(this.#sock, ctx));
+  }
+
+  async check(permissions, ctx) {
+    for (const permission of permissions) {
+      if (!(await this.has(permission, ctx))) return permission;
+    }
+    return null;
+  }
+}
@@ -1,39 +1,137 @@
 import { Mutex } from 'async-mutex';
+import { createDefu } from 'defu';
 import { getConfig, logger } from '#internals.js';
 import { watch } from 'chokidar';
 import fs from 'fs/promises';
 import path from 'path';
 import { pathToFileURL } from 'url';
 import { formatter } from '#formatter.js';
+import { formatEvent } from '#format-events.js';
+import { compose, isMiddlewareFile, normalizeMiddleware } from './middleware.js';
+import { Permissions } from './permissions.js';
+import { RateLimiter, compileLimits } from './rate-limiter.js';
+import { ArgumentError, compileArgs, formatUsage, parseArgs } from './arg-parser.js';
+import { renderCommand, renderMenu } from './help.js';
+import { PluginStore } from './plugin-store.js';
+import { MessageCollector } from './collector.js';
+import { Scheduler, compileSchedule } from './scheduler.js';
+import { PluginMetrics } from './metrics.js';
+import { KeyedSemaphore, compileConcurrency, withTimeout } from './concurrency.js';
+import { PluginToggles } from './plugin-toggles.js';
+import { compileFilters } from './filters.js';
+import { compileSubcommands, listSubcommands, routeSubcommand } from './subcommands.js';
+import { closest } from './suggest.js';
+import { isTypeScript, registerTypeScript } from './typescript.js';
+import { WorkerPool } from './isolation.js';
+import { EVENTS } from './events.js';
+import { MessageStore } from './message-store.js';
+import { parseDuration } from '#utils.js';
+
+const baseConfig = await getConfig();
+const merge = createDefu((obj, key, value) => {
+  if (Array.isArray(value)) {
+    obj[key] = value;
+    return true;
+  }
+});
+
+let dir, dirs, packages, defaultEvent, PREFIXES;
+let roles, deniedMessage, onDenied, limitedMessage, onLimited, onInvalid, help, strictMatch, suggest;
+let defaultTimeout, serialChats, isolationWorkers, isolationMemory, storeMessages, messageTtl;
+let logErrors, errorReply, disableAfter, onError, HMREnabled, debounceMs, isDebug;
+let owners, timeZone, LOCAL_DIRS, PLUGIN_DIR;
+
+const resolveDir = (d) => path.resolve(process.cwd(), d);
+
+const applyConfig = (config) => {
+  ({
+    dir,
+    dirs,
+    packages,
+    defaultEvent,
+    prefixes: PREFIXES,
+    permissions: {
+      roles,
+      denied: deniedMessage,
+      onDenied
+    },
+    limits: {
+      message: limitedMessage,
+      onLimited
+    },
+    args: {
+      onInvalid
+    },
+    help,
+    commands: {
+      strict: strictMatch,
+      suggest
+    },
+    execution: {
+      timeout: defaultTimeout,
+      serialChats
+    },
+    isolation: {
+      workers: isolationWorkers,
+      memory: isolationMemory
+    },
+    messages: {
+      store: storeMessages,
+      ttl: messageTtl
+    },
+    errors: {
+      log: logErrors,
+      reply: errorReply,
+      disableAfter,
+      onError
+    },
+    hmr: {
+      enable: HMREnabled,
+      debounce: debounceMs,
+      debug: isDebug
+    }
+  } = config.plugins);
 
-const config = await getConfig();
+  ({ owners, timeZone } = config);
+  LOCAL_DIRS = (dirs?.length ? dirs : [dir]).map(resolveDir);
+  PLUGIN_DIR = LOCAL_DIRS[0];
+};
 
-const {
-  dir,
-  defaultEvent,
-  prefixes: PREFIXES,
-  hmr: {
-    enable: HMREnabled,
-    debounce: debounceMs,
-    debug: isDebug
-  }
-} = config.plugins;
+applyConfig(baseConfig);
 
-const PLUGIN_DIR = path.join(process.cwd(), dir);
+const DEFAULT_CATEGORY = 'general';
 
-const EVENTS = new Set([
-  'messaging-history.set', 'chats.upsert', 'chats.update', 'chats.delete',
-  'contacts.upsert', 'contacts.update', 'messages.upsert', 'messages.update',
-  'messages.delete', 'messages.reaction', 'message-receipt.update',
-  'groups.update', 'group-participants.update', 'connection.update',
-  'creds.update', 'presence.update', 'blocklist.set', 'blocklist.update', 'call',
-]);
+const LIFECYCLE = new Set(['onLoad', 'onUnload', 'onAttach', 'onDetach']);
 
 const createBuckets = () => Object.fromEntries(
-  [...EVENTS].map(e => [e, { auto: new Map(), match: new Map() }])
+  [...EVENTS].map(e => [e, { auto: new Map(), match: new Map(), levels: null }])
 );
 
+const packageEntry = ({ exports, main }) => {
+  const root = typeof exports === 'string' ? exports : exports?.['.'] ?? exports;
+  const target = typeof root === 'string' ? root : root?.import ?? root?.default;
+  return (typeof target === 'string' ? target : null) ?? main ?? 'index.js';
+};
+
+const escapeRegex = (s) => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+const toSelector = (pattern) => {
+  if (typeof pattern === 'function') return pattern;
+  if (pattern instanceof RegExp) return ({ id }) => pattern.test(id);
+
+  const re = new RegExp(`^${String(pattern).split('*').map(escapeRegex).join('.*')}$`);
+  return ({ id }) => re.test(id) || re.test(id.slice(0, id.lastIndexOf(':')));
+};
+
+const compileSelection = (include, exclude) => {
+  const included = include == null ? null : [include].flat().map(toSelector);
+  const excluded = [exclude ?? []].flat().map(toSelector);
+  return (meta) => (!included || included.some(s => s(meta))) && !excluded.some(s => s(meta));
+};
+
 export class PluginManager {
+  static STOP = Symbol.for('kitten.stop');
+
   static #plugins = new Map();
   static #watcher = null;
   static #ready = false;
@@ -41,15 +139,62 @@ export class PluginManager {
   static #instances = new Set();
   static #fileLocks = new Map();
   static #buckets = createBuckets();
-  static #eventCounts = new Map([...EVENTS].map(e => [e, 0]));
+  static #roots = new Map();
+  static #middleware = new Map();
+  static #use = [];
+  static #chains = new Map();
+  static #roles = new Map(Object.entries(roles ?? {}));
+  static #registry = null;
+  static #files = new Map();
+  static #scheduler = new Scheduler({
+    onError: (id, err) => PluginManager.#handleError(`[Schedule:${id}]`, err, { phase: 'schedule', pluginId: id }),
+  });
+  static #failures = new Map();
+  static #metrics = new PluginMetrics();
+  static #semaphores = new KeyedSemaphore();
+  static #toggles = new PluginToggles();
+  static #registered = new Map();
+  static #pool = null;
+  static #messages = null;
 
   #sock;
+  #session;
+  #onError;
+  #sources;
+  #dirs = new Set();
+  #selects;
+  #accepted = new WeakMap();
+  #eventCounts = new Map();
   #handlers = new Map();
+  #permissions = null;
+  #limiter = new RateLimiter();
+  #collectors = new Set();
+  #running = new Set();
+  #pending = new Set();
+  #formatOptions = {
+    groupMetadata: (jid) => this.#permissions.groupMetadata(jid),
+    getMessage: (key) => PluginManager.#messages?.get(key) ?? null,
+  };
   #destroyed = false;
 
-  constructor(sock) {
+  constructor(sock, {
+    session = null,
+    onError = null,
+    dir = null,
+    dirs = null,
+    packages: pkgs = null,
+    include = null,
+    exclude = null,
+  } = {}) {
     if (!sock?.ev) throw new TypeError('Invalid socket: missing ev property');
     this.#sock = sock;
+    this.#session = session;
+    this.#onError = onError;
+    this.#sources = {
+      dirs: dirs?.length ? dirs.map(resolveDir) : dir != null ? [resolveDir(dir)] : LOCAL_DIRS,
+      packages: [...new Set(pkgs ?? packages ?? [])],
+    };
+    this.#selects = compileSelection(include, exclude);
   }
 
   static #getLock(filePath) {
@@ -57,24 +202,82 @@ export class PluginManager {
       ?? PluginManager.#fileLocks.set(filePath, new Mutex()).get(filePath);
   }
 
-  static #handleError(context, err) {
-    if (isDebug) {
-      logger.warn(`${context} ${err?.message ?? 'Unknown error'}`);
+  static #handleError(context, err, { phase = 'internal', pluginId = null, event = null, ctx = null, instance = null } = {}) {
+    const session = instance ? instance.#session : null;
+
+    if (logErrors) {
+      logger.error({ err, phase, pluginId, event, session }, `${context} ${err?.message ?? 'Unknown error'}`);
+    }
+
+    const hooks = new Set([
+      onError,
+      ...(instance ? [instance] : [...PluginManager.#instances]).map(i => i.#onError),
+    ]);
+    const info = { error: err, pluginId, event, ctx, phase, session };
+
+    for (const hook of hooks) {
+      if (typeof hook !== 'function') continue;
+      Promise.resolve()
+        .then(() => hook(info))
+        .catch(e => logger.error(e, '[PluginManager] Error in onError hook'));
     }
   }
 
+  static #trackFailure(id) {
+    if (!(disableAfter > 0)) return;
+
+    const failures = (PluginManager.#failures.get(id) ?? 0) + 1;
+    if (failures < disableAfter) {
+      PluginManager.#failures.set(id, failures);
+      return;
+    }
+
+    PluginManager.#failures.delete(id);
+    if (PluginManager.#toggle(id, true)) {
+      logger.warn(`[Plugin:${id}] Disabled after ${failures} consecutive failures`);
+    }
+  }
+
+  static #toggle(id, disabled) {
+    const plugin = PluginManager.#plugins.get(id);
+    if (!plugin || !!plugin._meta.disabled === disabled) return false;
+
+    if (disabled) {
+      PluginManager.#unregister(id);
+      plugin._meta.disabled = true;
+    } else {
+      plugin._meta.disabled = false;
+      PluginManager.#register(id, plugin);
+    }
+
+    PluginManager.#syncAll();
+    return true;
+  }
+
   async init() {
     if (this.#destroyed) throw new Error('Cannot reinitialize destroyed instance');
 
+    const specs = [
+      ...this.#sources.dirs.map(d => ({ dir: d, source: PluginManager.#sourceOf(d), watch: true })),
+      ...(await PluginManager.#resolvePackages(this.#sources.packages)),
+    ];
+    this.#dirs = new Set(specs.map(spec => spec.dir));
+
     PluginManager.#instances.add(this);
+    this.#permissions ??= new Permissions(this.#sock, { owners, roles: PluginManager.#roles });
 
     if (!PluginManager.#ready) {
-      await fs.mkdir(PLUGIN_DIR, { recursive: true }).catch(() => {});
-      await PluginManager.#loadAll();
-      if (HMREnabled) PluginManager.#initWatcher();
       PluginManager.#ready = true;
+      PluginManager.#messages = storeMessages ? new MessageStore({ ttl: messageTtl }) : null;
+      PluginManager.#loadBuiltins();
     }
+    await Promise.all(specs.map(spec => PluginManager.#mount(spec)));
 
+    for (const file of PluginManager.#files.values()) {
+      if (this.#dirs.has(file.root)) await PluginManager.#hook(file, 'onAttach', this.#sock);
+    }
+
+    this.#countEvents();
     this.#syncListeners();
     if (isDebug) {
       logger.debug(`[PluginManager] Init (sockets: ${PluginManager.#instances.size}, plugins: ${PluginManager.#plugins.size})`);
@@ -90,6 +293,17 @@ export class PluginManager {
       this.#sock.ev.off(event, handler);
     }
     this.#handlers.clear();
+    this.#permissions?.destroy();
+
+    for (const collector of this.#collectors) {
+      collector.stop('destroyed');
+    }
+    for (const controller of this.#running) {
+      controller.abort(new Error('PluginManager destroyed'));
+    }
+    for (const file of PluginManager.#files.values()) {
+      if (this.#dirs.has(file.root)) PluginManager.#hook(file, 'onDetach', this.#sock);
+    }
     PluginManager.#instances.delete(this);
 
     if (PluginManager.#instances.size === 0) {
@@ -104,36 +318,112 @@ export class PluginManager {
     PluginManager.#debounceTimers.forEach(clearTimeout);
     PluginManager.#debounceTimers.clear();
     PluginManager.#fileLocks.clear();
+
+    for (const file of PluginManager.#files.values()) {
+      PluginManager.#hook(file, 'onUnload');
+    }
+    PluginManager.#files.clear();
     PluginManager.#plugins.clear();
+    PluginManager.#scheduler.clear();
+    PluginManager.#pool?.destroy();
+    PluginManager.#pool = null;
+    PluginManager.#messages = null;
+    PluginManager.#failures.clear();
+    PluginManager.#middleware.clear();
+    PluginManager.#chains.clear();
+    PluginManager.#roots.clear();
+    PluginManager.#registry = null;
 
     for (const bucket of Object.values(PluginManager.#buckets)) {
       bucket.auto.clear();
       bucket.match.clear();
+      bucket.levels = null;
     }
+  }
 
-    for (const event of EVENTS) {
-      PluginManager.#eventCounts.set(event, 0);
+  static #getParent(root, dirPath) {
+    return path.relative(root.dir, dirPath).split(path.sep)[0] || null;
+  }
+
+  static #rootOf(filePath) {
+    for (const root of PluginManager.#roots.values()) {
+      const rel = path.relative(root.dir, filePath);
+      if (!rel.startsWith('..') && !path.isAbsolute(rel)) return root;
     }
+    return null;
   }
 
-  static #getParent(dirPath) {
-    return path.relative(PLUGIN_DIR, dirPath).split(path.sep)[0] || null;
+  static #sourceOf(dirPath) {
+    return dirPath === PLUGIN_DIR ? null : path.relative(process.cwd(), dirPath).replaceAll(path.sep, '/');
   }
 
-  static async #loadAll() {
-    const entries = await fs.readdir(PLUGIN_DIR, { withFileTypes: true, recursive: true }).catch(() => []);
+  static async #resolvePackages(names) {
+    const specs = await Promise.all(names.map(async (name) => {
+      try {
+        const pkgDir = path.join(process.cwd(), 'node_modules', name);
+        const pkg = JSON.parse(await fs.readFile(path.join(pkgDir, 'package.json'), 'utf8'));
+        const pluginDir = pkg.kitten?.plugins;
+
+        return pluginDir
+          ? { dir: path.join(pkgDir, pluginDir), source: name, watch: false }
+          : { dir: pkgDir, source: name, entry: path.join(pkgDir, packageEntry(pkg)), watch: false };
+      } catch (err) {
+        PluginManager.#handleError(`[PluginManager:${name}] Failed to resolve package:`, err, { phase: 'load' });
+        return null;
+      }
+    }));
+    return specs.filter(Boolean);
+  }
 
-    const files = entries
-      .filter(e => e.isFile() && /(?<!\.d)\.[jt]s$/.test(e.name) && !e.name.startsWith('_'))
-      .map(e => {
-        const dirPath = e.parentPath ?? e.path;
-        const parent = PluginManager.#getParent(dirPath);
-        const filePath = path.join(dirPath, e.name);
-        return { path: filePath, parent };
-      });
+  static #mount({ dir, source, entry = null, watch }) {
+    let root = PluginManager.#roots.get(dir);
+    if (!root) {
+      root = { dir, source, entry, ready: false };
+      PluginManager.#roots.set(dir, root);
+      root.loading = (async () => {
+        if (watch) await fs.mkdir(dir, { recursive: true }).catch(() => {});
+        await PluginManager.#loadAll(root);
+        if (watch && HMREnabled) PluginManager.#watch(root);
+        root.ready = true;
+      })();
+    }
+    return root.loading;
+  }
+
+  static #loadBuiltins() {
+    if (help?.enable) PluginManager.#loadHelp();
+    for (const [id, plugin] of PluginManager.#registered) {
+      PluginManager.#define(id, plugin, { parent: plugin.parent ?? null });
+    }
+  }
+
+  static async #loadAll(root) {
+    const entries = root.entry
+      ? []
+      : await fs.readdir(root.dir, { withFileTypes: true, recursive: true }).catch(() => []);
+
+    const sources = root.entry
+      ? [{ path: root.entry, parent: null, name: path.basename(root.entry) }]
+      : entries
+        .filter(e => e.isFile() && /(?<!\.d)\.[jt]s$/.test(e.name))
+        .map(e => {
+          const dirPath = e.parentPath ?? e.path;
+          const parent = PluginManager.#getParent(root, dirPath);
+          const filePath = path.join(dirPath, e.name);
+          return { path: filePath, parent, name: e.name };
+        });
+
+    await Promise.all(
+      sources
+        .filter(f => isMiddlewareFile(f.name) && !PluginManager.#isIgnored(f.path))
+        .map(({ path: p, parent }) => PluginManager.#loadMiddleware(p, root, parent)
+          .catch(err => PluginManager.#handleError(`[Middleware:${path.relative(root.dir, p)}] Failed to load:`, err, { phase: 'load' })))
+    );
+
+    const files = sources.filter(f => !f.name.startsWith('_'));
 
     const results = await Promise.allSettled(
-      files.map(({ path: p, parent }) => PluginManager.#loadFile(p, parent))
+      files.map(({ path: p, parent }) => PluginManager.#loadFile(p, root, parent))
     );
 
     let loaded = 0;
@@ -142,52 +432,274 @@ export class PluginManager {
     for (let i = 0; i < results.length; i++) {
       const result = results[i];
       if (result.status === 'fulfilled') {
-        loaded += result.value?.size ?? 0;
+        loaded += result.value?.plugins.size ?? 0;
       } else {
         failed++;
-        const rel = path.relative(PLUGIN_DIR, files[i].path);
-        PluginManager.#handleError(`[PluginManager:${rel}] Failed to load:`, result.reason);
+        const rel = path.relative(root.dir, files[i].path);
+        PluginManager.#handleError(`[PluginManager:${rel}] Failed to load:`, result.reason, { phase: 'load' });
       }
     }
 
-    logger.info(`[PluginManager] Loaded ${loaded} plugins${failed ? ` (${failed} failed)` : ''}`);
+    const from = root.source ? ` from ${root.source}` : '';
+    logger.info(`[PluginManager] Loaded ${loaded} plugins${from}${failed ? ` (${failed} failed)` : ''}`);
+  }
+
+  static async #import(filePath) {
+    const { mtimeMs } = await fs.stat(filePath);
+    if (isTypeScript(filePath)) registerTypeScript();
+    return import(`${pathToFileURL(filePath)}?v=${Math.trunc(mtimeMs)}`);
   }
 
-  static async #loadFile(filePath, parent, register = true) {
+  static async #loadFile(filePath, root, parent, register = true) {
     const exec = async () => {
-      const { mtimeMs } = await fs.stat(filePath);
-      const mod = await import(`${pathToFileURL(filePath)}?v=${Math.trunc(mtimeMs)}`);
-      const loaded = new Map();
+      const mod = await PluginManager.#import(filePath);
+      const plugins = new Map();
+      const hooks = {};
 
       for (const [name, value] of Object.entries(mod)) {
+        if (LIFECYCLE.has(name)) {
+          if (typeof value === 'function') hooks[name] = value;
+          continue;
+        }
+
         const plugin = PluginManager.#normalize(value);
         if (!plugin || plugin.enabled === false) continue;
 
-        const id = path.relative(PLUGIN_DIR, filePath)
-          .replace(/\.[jt]s$/, '')
-          .replaceAll(path.sep, '/') + ':' + name;
+        const id = `${PluginManager.#fileId(filePath, root)}:${name}`;
+        plugins.set(id, PluginManager.#prepare(id, plugin, { root: root.dir, parent, filePath }));
+      }
 
-        const events = (Array.isArray(plugin.events) ? plugin.events : [])
-          .filter(e => EVENTS.has(e));
+      const file = { filePath, root: root.dir, parent, plugins, hooks };
+      if (register) {
+        await PluginManager.#onLoad(file);
+        await PluginManager.#activate(file);
+      }
+      return file;
+    };
 
-        plugin._meta = {
-          parent,
-          filePath,
-          id,
-          events: events.length ? events : [defaultEvent],
-          matchers: PluginManager.#compile(plugin.match, plugin.prefix),
-        };
+    return register ? PluginManager.#getLock(filePath).runExclusive(exec) : exec();
+  }
 
-        if (register) {
-          PluginManager.#plugins.set(id, plugin);
-          PluginManager.#register(id, plugin);
-        }
-        loaded.set(id, plugin);
+  static #fileId(filePath, root = PluginManager.#rootOf(filePath)) {
+    const id = path.relative(root?.dir ?? PLUGIN_DIR, filePath)
+      .replace(/\.[cm]?[jt]s$/, '')
+      .replaceAll(path.sep, '/');
+    return root?.source ? `${root.source}:${id}` : id;
+  }
+
+  static async #hook(file, name, ...args) {
+    const fn = file.hooks[name];
+    if (typeof fn !== 'function') return;
+    try {
+      await fn(...args);
+    } catch (err) {
+      PluginManager.#handleError(`[Plugin:${PluginManager.#fileId(file.filePath)}] ${name} failed:`, err, { phase: name });
+    }
+  }
+
+  static async #onLoad({ filePath, parent, plugins, hooks }) {
+    await hooks.onLoad?.({
+      file: PluginManager.#fileId(filePath),
+      filePath,
+      parent,
+      plugins: [...plugins.keys()],
+      logger,
+    });
+  }
+
+  static async #activate(file) {
+    const { filePath, plugins } = file;
+
+    PluginManager.#files.set(filePath, file);
+    for (const [id, plugin] of plugins) {
+      PluginManager.#plugins.set(id, plugin);
+      PluginManager.#register(id, plugin);
+    }
+
+    if (!PluginManager.#roots.get(file.root)?.ready) return;
+    for (const instance of PluginManager.#instances) {
+      if (instance.#dirs.has(file.root)) await PluginManager.#hook(file, 'onAttach', instance.#sock);
+    }
+  }
+
+  static async #deactivate(filePath) {
+    const file = PluginManager.#files.get(filePath);
+    if (file) {
+      PluginManager.#files.delete(filePath);
+      for (const instance of PluginManager.#instances) {
+        if (instance.#dirs.has(file.root)) await PluginManager.#hook(file, 'onDetach', instance.#sock);
       }
-      return loaded;
+      await PluginManager.#hook(file, 'onUnload');
+    }
+    return PluginManager.#unloadFile(filePath);
+  }
+
+  static #prepare(id, plugin, { root = null, parent = null, filePath = null } = {}) {
+    const events = (Array.isArray(plugin.events) ? plugin.events : [])
+      .filter(e => EVENTS.has(e));
+    const schedule = compileSchedule(plugin, timeZone);
+    const listens = events.length || !schedule || plugin.match;
+
+    plugin._meta = {
+      root,
+      parent,
+      filePath,
+      id,
+      events: events.length ? events : listens ? [defaultEvent] : [],
+      sessions: PluginManager.#sessions(plugin.sessions),
+      filter: compileFilters(plugin),
+      schedule,
+      permissions: [plugin.permissions ?? []].flat().filter(Boolean),
+      limits: compileLimits(plugin.cooldown, plugin.rateLimit),
+      args: compileArgs(plugin.args),
+      matchers: PluginManager.#compile(
+        Array.isArray(plugin.match) ? [...plugin.match, ...[plugin.aliases ?? []].flat()] : null,
+        plugin.prefix,
+        plugin.strict ?? strictMatch
+      ),
+      subcommands: compileSubcommands(plugin.subcommands),
+      priority: Number(plugin.priority) || 0,
+      fallback: plugin.fallback === true,
+      timeout: PluginManager.#timeout(plugin.timeout ?? defaultTimeout),
+      concurrency: compileConcurrency(plugin.concurrency),
+      isolate: plugin.isolate === true,
     };
+    if (plugin._meta.isolate && !filePath) {
+      throw new Error(`[Isolate] Only file plugins can be isolated: ${id}`);
+    }
+    plugin.storage = new PluginStore(id);
+    return plugin;
+  }
 
-    return register ? PluginManager.#getLock(filePath).runExclusive(exec) : exec();
+  static #sessions(value) {
+    if (value == null) return null;
+    if (typeof value === 'function') return value;
+    if (Array.isArray(value)) return (session) => value.includes(session);
+    throw new Error(`Invalid sessions: ${value}`);
+  }
+
+  static #timeout(value) {
+    const ms = parseDuration(value ?? 0);
+    if (Number.isNaN(ms)) throw new Error(`Invalid timeout: ${value}`);
+    return ms;
+  }
+
+  static #loadHelp() {
+    const id = 'kitten:help';
+    const plugin = Object.assign(
+      (sock, ctx) => PluginManager.#instanceOf(sock)?.#help(sock, ctx),
+      {
+        match: help.match,
+        prefix: help.prefix,
+        args: [{ name: 'command' }],
+        description: 'Show available commands',
+      }
+    );
+
+    PluginManager.#define(id, plugin);
+  }
+
+  static #define(id, plugin, options) {
+    if (PluginManager.#plugins.has(id)) {
+      PluginManager.#unregister(id);
+    }
+    PluginManager.#prepare(id, plugin, options);
+    PluginManager.#plugins.set(id, plugin);
+    PluginManager.#register(id, plugin);
+  }
+
+  static #instanceOf(sock) {
+    for (const instance of PluginManager.#instances) {
+      if (instance.#sock === sock) return instance;
+    }
+    return null;
+  }
+
+  static #isIgnored(filePath) {
+    const root = PluginManager.#rootOf(filePath);
+    if (!root) return false;
+
+    const rel = path.relative(root.dir, filePath);
+    return /(^|[/\\])_/.test(isMiddlewareFile(rel) ? path.dirname(rel) : rel);
+  }
+
+  static async #loadMiddleware(filePath, root, parent) {
+    const mod = await PluginManager.#import(filePath);
+    const stack = normalizeMiddleware(mod);
+
+    PluginManager.#middleware.set(filePath, { root: root.dir, parent, stack });
+    PluginManager.#chains.clear();
+    return stack.length;
+  }
+
+  static #unloadMiddleware(filePath) {
+    const count = PluginManager.#middleware.get(filePath)?.stack.length ?? 0;
+    PluginManager.#middleware.delete(filePath);
+    PluginManager.#chains.clear();
+    return count;
+  }
+
+  static #chain(root, parent) {
+    const key = `${root}|${parent}`;
+    if (PluginManager.#chains.has(key)) return PluginManager.#chains.get(key);
+
+    const scoped = (p) => [...PluginManager.#middleware]
+      .filter(([, mw]) => mw.root === root && mw.parent === p)
+      .sort(([a], [b]) => a.split(path.sep).length - b.split(path.sep).length || a.localeCompare(b))
+      .flatMap(([, mw]) => mw.stack);
+
+    const chain = [
+      ...PluginManager.#use.filter(mw => mw.parent == null).map(mw => mw.fn),
+      ...scoped(null),
+      ...(parent == null ? [] : [
+        ...PluginManager.#use.filter(mw => mw.parent === parent).map(mw => mw.fn),
+        ...scoped(parent),
+      ]),
+    ];
+
+    PluginManager.#chains.set(key, chain);
+    return chain;
+  }
+
+  static use(...args) {
+    const parent = typeof args[0] === 'string' ? args.shift() : null;
+    for (const fn of args) {
+      if (typeof fn !== 'function') throw new TypeError('Invalid middleware: expected a function');
+      PluginManager.#use.push({ parent, fn });
+    }
+    PluginManager.#chains.clear();
+    return PluginManager;
+  }
+
+  static configure(overrides = {}) {
+    if (PluginManager.#instances.size) {
+      throw new Error('[PluginManager] Cannot configure while instances are active');
+    }
+
+    applyConfig(merge(overrides, baseConfig));
+    PluginManager.#roles = new Map([...PluginManager.#roles, ...Object.entries(roles ?? {})]);
+    PluginManager.#toggles.clear();
+    return PluginManager;
+  }
+
+  static reset() {
+    if (PluginManager.#instances.size) {
+      throw new Error('[PluginManager] Cannot reset while instances are active');
+    }
+
+    applyConfig(baseConfig);
+    PluginManager.#roles = new Map(Object.entries(roles ?? {}));
+    PluginManager.#use = [];
+    PluginManager.#chains.clear();
+    PluginManager.#registered.clear();
+    PluginManager.#toggles.clear();
+    return PluginManager;
+  }
+
+  static role(name, check) {
+    if (typeof check !== 'function') throw new TypeError('Invalid role: expected a function');
+    PluginManager.#roles.set(name, check);
+    return PluginManager;
   }
 
   static #normalize(value) {
@@ -199,7 +711,7 @@ export class PluginManager {
     return null;
   }
 
-  static #compile(match, prefixOpt = PREFIXES) {
+  static #compile(match, prefixOpt = PREFIXES, strict = false) {
     if (!Array.isArray(match) || !match.length) return null;
 
     const strings = match.filter(m => typeof m === 'string').map(s => s.toLowerCase());
@@ -214,6 +726,7 @@ export class PluginManager {
       set: strings.length ? new Set(strings) : null,
       regexes,
       prefixes,
+      strict,
     };
   }
 
@@ -233,12 +746,12 @@ export class PluginManager {
 
         if (cmd) {
           if (matchers.set.has(cmd)) {
-            return { match: cmd, prefix };
+            return { match: cmd, prefix, rest: body.slice(1 + cmd.length) };
           }
 
-          for (const s of matchers.strings) {
+          for (const s of matchers.strict ? [] : matchers.strings) {
             if (cmd.length > s.length && cmd.startsWith(s)) {
-              return { match: s, prefix };
+              return { match: s, prefix, rest: body.slice(1 + s.length) };
             }
           }
         }
@@ -248,39 +761,134 @@ export class PluginManager {
     for (const re of matchers.regexes) {
       re.lastIndex = 0;
       const m = re.exec(body);
-      if (m) return { match: m, prefix: null };
+      if (m) return { match: m, prefix: null, rest: body.slice(m.index + m[0].length) };
     }
 
     return null;
   }
 
+  static #testId(matchers, id) {
+    if (!id || typeof id !== 'string') return null;
+
+    const idx = id.indexOf(' ');
+    const cmd = (idx < 0 ? id : id.slice(0, idx)).toLowerCase();
+    if (matchers.set?.has(cmd)) return { match: cmd, prefix: null, rest: id.slice(cmd.length) };
+
+    return PluginManager.#test(matchers, id);
+  }
+
   static #register(id, plugin) {
+    PluginManager.#registry = null;
+    if (plugin._meta.disabled || PluginManager.#toggles.has(id)) {
+      plugin._meta.disabled = true;
+      return;
+    }
     const key = plugin._meta.matchers ? 'match' : 'auto';
     for (const e of plugin._meta.events) {
       const bucket = PluginManager.#buckets[e]?.[key];
       if (bucket && !bucket.has(id)) {
         bucket.set(id, plugin);
-        PluginManager.#eventCounts.set(e, (PluginManager.#eventCounts.get(e) ?? 0) + 1);
+        PluginManager.#buckets[e].levels = null;
+        PluginManager.#count(e, plugin, 1);
       }
     }
+
+    if (plugin._meta.schedule) {
+      PluginManager.#scheduler.add(id, plugin._meta.schedule, (run) => PluginManager.#runScheduled(id, plugin, run));
+    }
   }
 
   static #unregister(id) {
+    PluginManager.#registry = null;
+    PluginManager.#scheduler.delete(id);
     const events = PluginManager.#plugins.get(id)?._meta?.events ?? [];
     for (const e of events) {
       const bucket = PluginManager.#buckets[e];
-      if (bucket?.auto.delete(id) || bucket?.match.delete(id)) {
-        PluginManager.#eventCounts.set(e, Math.max(0, (PluginManager.#eventCounts.get(e) ?? 1) - 1));
+      const plugin = bucket?.auto.get(id) ?? bucket?.match.get(id);
+      if (plugin) {
+        bucket.auto.delete(id);
+        bucket.match.delete(id);
+        bucket.levels = null;
+        PluginManager.#count(e, plugin, -1);
       }
     }
   }
 
+  static #count(event, plugin, delta) {
+    for (const instance of PluginManager.#instances) {
+      if (!instance.#accepts(plugin)) continue;
+      const count = Math.max(0, (instance.#eventCounts.get(event) ?? 0) + delta);
+      if (count) instance.#eventCounts.set(event, count);
+      else instance.#eventCounts.delete(event);
+    }
+  }
+
+  #countEvents() {
+    this.#eventCounts.clear();
+    for (const [event, { auto, match }] of Object.entries(PluginManager.#buckets)) {
+      let count = 0;
+      for (const plugin of [...auto.values(), ...match.values()]) {
+        if (this.#accepts(plugin)) count++;
+      }
+      if (count) this.#eventCounts.set(event, count);
+    }
+  }
+
+  #accepts(plugin) {
+    let accepted = this.#accepted.get(plugin);
+    if (accepted === undefined) {
+      const { root, sessions } = plugin._meta;
+      accepted = (root == null || this.#dirs.has(root))
+        && (!sessions || !!sessions(this.#session))
+        && this.#selects(plugin._meta, plugin);
+      this.#accepted.set(plugin, accepted);
+    }
+    return accepted;
+  }
+
+  static async #runScheduled(id, plugin, { scheduledAt, lastRun }) {
+    const runs = [];
+
+    for (const instance of PluginManager.#instances) {
+      if (instance.#destroyed || !instance.#accepts(plugin)) continue;
+      if (PluginManager.#toggles.isDisabled(id, { session: instance.#session })) continue;
+
+      const controller = new AbortController();
+      const ctx = { scheduledAt, lastRun, session: instance.#session, store: plugin.storage, signal: controller.signal };
+      const start = performance.now();
+      const sample = (outcome, error) => PluginManager.#metrics.record(id, instance.#session, {
+        outcome, error, duration: performance.now() - start,
+      });
+
+      runs.push(
+        Promise.resolve()
+          .then(() => withTimeout(
+            () => PluginManager.#invoke(plugin, null, instance.#sock, ctx, 'schedule', controller.signal),
+            plugin._meta.timeout,
+            controller
+          ))
+          .then(() => {
+            sample('success');
+            PluginManager.#failures.delete(id);
+          })
+          .catch(err => {
+            sample('failure', err);
+            PluginManager.#handleError(`[Plugin:${id}]`, err, { phase: 'schedule', pluginId: id, event: 'schedule', ctx, instance });
+            PluginManager.#trackFailure(id);
+          })
+      );
+    }
+
+    await Promise.all(runs);
+  }
+
   #syncListeners() {
     if (this.#destroyed) return;
 
-    const active = new Set();
-    for (const [event, count] of PluginManager.#eventCounts) {
-      if (count > 0) active.add(event);
+    const active = new Set(this.#eventCounts.keys());
+    if (this.#collectors.size) active.add('messages.upsert');
+    if (PluginManager.#messages && (active.has('messages.reaction') || active.has('messages.update'))) {
+      active.add('messages.upsert');
     }
 
     for (const [event, handler] of this.#handlers) {
@@ -310,82 +918,346 @@ export class PluginManager {
   #createHandler(event) {
     const bucket = PluginManager.#buckets[event];
     const sock = this.#sock;
-    const dispatch = (ctx, event) => this.#dispatch(sock, ctx, bucket, event);
+    const dispatch = (ctx, event) => {
+      const run = this.#dispatch(sock, ctx, bucket, event);
+      const done = () => this.#pending.delete(run);
+      this.#pending.add(run);
+      run.then(done, done);
+    };
+    const format = (data) => Promise.resolve()
+      .then(() => formatEvent(sock, data, event, this.#formatOptions))
+      .catch(err => {
+        PluginManager.#handleError('[PluginManager] Format error:', err, { phase: 'format', event, ctx: { raw: data }, instance: this });
+        return null;
+      });
 
     const handlers = {
       'messages.upsert': ({ messages, type }) => {
+        const store = PluginManager.#messages;
+        for (const msg of store ? messages : []) {
+          store.save(msg).catch(err => logger.error(err, '[PluginManager] Failed to store message'));
+        }
+
         if (type !== 'notify') return;
         for (const msg of messages) {
           if (!msg?.key?.remoteJid || msg.key.remoteJid === 'status@broadcast') continue;
           try {
-            dispatch(formatter(sock, msg, event));
+            const ctx = formatter(sock, msg, event, this.#formatOptions);
+            if (!this.#collect(ctx)) dispatch(ctx, event);
           } catch (err) {
-            PluginManager.#handleError('[PluginManager] Format error:', err);
+            PluginManager.#handleError('[PluginManager] Format error:', err, { phase: 'format', event, ctx: { raw: msg }, instance: this });
           }
         }
       },
 
       'messages.update': (updates) => {
-        for (const { key, update } of updates) {
-          if (key?.remoteJid) dispatch({ key, update, jid: key.remoteJid }, event);
+        for (const u of updates) {
+          if (u?.key?.remoteJid) dispatch(format(u), event);
         }
       },
 
       'messages.reaction': (reactions) => {
-        for (const { key, reaction } of reactions) {
-          if (key?.remoteJid) dispatch({ key, reaction, jid: key.remoteJid, emoji: reaction?.text }, event);
+        for (const r of reactions) {
+          if (r?.key) dispatch(format(r), event);
         }
       },
 
-      'group-participants.update': (u) => dispatch(u, event),
+      'group-participants.update': (u) => dispatch(format(u), event),
+      'groups.update': (updates) => updates.forEach(u => dispatch(format(u), event)),
+      'presence.update': (u) => dispatch(format(u), event),
       'connection.update': (u) => dispatch(u, event),
       'creds.update': (creds) => dispatch({ creds }, event),
-      'call': (calls) => calls.forEach(c => dispatch(c, event)),
+      'call': (calls) => calls.forEach(c => dispatch(format(c), event)),
     };
 
     return handlers[event] ?? ((data) => dispatch({ data }, event));
   }
 
-  #dispatch(sock, ctx, bucket, event) {
+  static #levels(bucket) {
+    if (bucket.levels) return bucket.levels;
+
+    const rank = ({ _meta: m }) => `${m.fallback ? 1 : 0}:${m.priority}`;
+    const sorted = [...bucket.auto, ...bucket.match].sort(([a, p], [b, q]) =>
+      p._meta.fallback - q._meta.fallback
+      || q._meta.priority - p._meta.priority
+      || a.localeCompare(b)
+    );
+
+    const levels = [];
+    for (const entry of sorted) {
+      const last = levels.at(-1);
+      if (last && rank(last[0][1]) === rank(entry[1])) last.push(entry);
+      else levels.push([entry]);
+    }
+
+    bucket.levels = levels;
+    return levels;
+  }
+
+  async #dispatch(sock, input, bucket, event) {
+    const ctx = await input;
     if (this.#destroyed || !ctx) return;
 
-    for (const [id, plugin] of bucket.auto) {
-      this.#execute(id, plugin, sock, ctx, event);
+    const release = serialChats && ctx.roomId
+      ? await PluginManager.#semaphores.acquire(`serial|${this.#session}|${ctx.roomId}`, 1)
+      : null;
+
+    try {
+      await this.#run(sock, ctx, bucket, event, release);
+    } finally {
+      release?.();
     }
+  }
+
+  async #run(sock, ctx, bucket, event, release = null) {
+    const state = { stopped: false, matched: false, release };
+
+    for (const level of PluginManager.#levels(bucket)) {
+      const runs = [];
 
-    if (bucket.match.size && ctx.body) {
-      for (const [id, plugin] of bucket.match) {
-        const matchers = plugin._meta?.matchers;
-        if (!matchers) continue;
+      for (const [id, plugin] of level) {
+        const { matchers, subcommands, fallback, filter } = plugin._meta;
+        if (fallback && state.matched) continue;
+        if (filter && !filter(ctx)) continue;
+        if (!this.#accepts(plugin) || this.#isDisabled(id, ctx)) continue;
 
-        const result = PluginManager.#test(matchers, ctx.body);
-        if (result) this.#execute(id, plugin, sock, ctx, event, result);
+        let result;
+        let route = null;
+        if (matchers) {
+          result = PluginManager.#testId(matchers, ctx.selectedId) ?? PluginManager.#test(matchers, ctx.body);
+          if (!result) continue;
+          state.matched = true;
+
+          route = subcommands && routeSubcommand(subcommands, result.rest);
+          if (route) result = { ...result, rest: route.rest, subcommand: route.path };
+        }
+        runs.push(this.#execute(id, plugin, sock, ctx, event, result, state, route));
       }
+
+      if (runs.length) await Promise.all(runs);
+      if (state.stopped || this.#destroyed) return;
+    }
+
+    if (suggest?.enable && !state.matched && event === 'messages.upsert') {
+      await this.#suggest(sock, ctx).catch(err =>
+        PluginManager.#handleError('[PluginManager] Suggestion failed:', err, { event, ctx, instance: this }));
     }
   }
 
-  async #execute(id, plugin, sock, ctx, event, match) {
+  async #suggest(sock, ctx) {
+    const prefix = ctx.body?.[0];
+    const word = ctx.body?.slice(1).split(/\s/, 1)[0].toLowerCase();
+    if (!word || !ctx.roomId) return;
+
+    const names = new Map();
+    for (const command of PluginManager.#commands()) {
+      const { prefixes } = PluginManager.#plugins.get(command.id)?._meta.matchers ?? {};
+      if (!prefixes?.has(prefix)) continue;
+
+      const all = [command.name, ...command.aliases];
+      // the command exists but was skipped, e.g. by its filters
+      if (all.includes(word)) return;
+      if (!this.#owns(command) || this.#isDisabled(command.id, ctx)) continue;
+      for (const name of all) names.set(name, command);
+    }
+
+    const match = closest(word, names.keys());
+    if (!match || !(await this.#allowed(names.get(match), ctx))) return;
+
+    const text = (suggest.message ?? 'Did you mean {command}?').replaceAll('{command}', prefix + match);
+    await sock.sendMessage(ctx.roomId, { text }, { quoted: ctx.raw });
+  }
+
+  async #execute(id, plugin, sock, ctx, event, match, state, route = null) {
     if (this.#destroyed) return;
+
+    const start = performance.now();
+    const sample = (outcome, error) => PluginManager.#metrics.record(id, this.#session, {
+      outcome, error, duration: performance.now() - start,
+    });
+    const controller = new AbortController();
+    this.#running.add(controller);
+    let ran = false;
+
+    try {
+      const chain = PluginManager.#chain(plugin._meta.root ?? this.#sources.dirs[0], plugin._meta.parent);
+      const stop = () => { state.stopped = true; };
+      const scoped = {
+        ...ctx,
+        _match: match,
+        _plugin: plugin._meta,
+        _event: event,
+        _manager: this,
+        store: plugin.storage,
+        stop,
+        signal: controller.signal,
+        // a run waiting on replies leaves the serial chat queue, so the rest of the chat isn't held up
+        collect: (options) => {
+          state.release?.();
+          return this.collect({ roomId: ctx.roomId, from: ctx.jid, signal: controller.signal, ...options });
+        },
+        awaitReply: (options) => {
+          state.release?.();
+          return this.awaitReply({ roomId: ctx.roomId, from: ctx.jid, signal: controller.signal, ...options });
+        },
+      };
+      await compose(chain, async (s, c) => {
+        if (!(await this.#authorize(plugin, s, c, event, route))) return;
+        if (!(await this.#parseArgs(plugin, s, c, event, route))) return;
+        if (!(await this.#throttle(plugin, s, c, event))) return;
+        const release = await PluginManager.#semaphores.acquireAll(id, plugin._meta.concurrency, c);
+        try {
+          ran = true;
+          const result = await withTimeout(
+            () => PluginManager.#invoke(plugin, route, s, c, event, controller.signal),
+            plugin._meta.timeout,
+            controller
+          );
+          if (result === PluginManager.STOP) stop();
+        } finally {
+          release();
+        }
+      })(sock, scoped);
+      sample(ran ? 'success' : 'skipped');
+      PluginManager.#failures.delete(id);
+    } catch (err) {
+      sample('failure', err);
+      PluginManager.#handleError(`[Plugin:${id}]`, err, { phase: 'execute', pluginId: id, event, ctx, instance: this });
+      PluginManager.#trackFailure(id);
+
+      if (errorReply && ctx.roomId && !this.#destroyed) {
+        sock.sendMessage(ctx.roomId, { text: errorReply }, { quoted: ctx.raw }).catch(() => {});
+      }
+    } finally {
+      this.#running.delete(controller);
+    }
+  }
+
+  static #invoke(plugin, route, sock, ctx, event, signal) {
+    const { isolate, filePath, id } = plugin._meta;
+    if (!isolate) return (route?.handler ?? plugin)(sock, ctx, event);
+
+    PluginManager.#pool ??= new WorkerPool({
+      size: isolationWorkers,
+      memory: isolationMemory,
+      onCrash: (err) => logger.warn(err.message),
+    });
+    const name = id.slice(id.lastIndexOf(':') + 1);
+    return PluginManager.#pool.run({ filePath, name, route: route?.path ?? null }, sock, ctx, event, signal);
+  }
+
+  #collect(ctx) {
+    for (const collector of this.#collectors) {
+      if (collector.handle(ctx)) return true;
+    }
+    return false;
+  }
+
+  collect(options) {
+    if (this.#destroyed) throw new Error('Cannot collect on destroyed instance');
+
+    const collector = new MessageCollector(options, (c) => {
+      this.#collectors.delete(c);
+      this.#syncListeners();
+    });
+
+    if (collector.active) {
+      this.#collectors.add(collector);
+      this.#syncListeners();
+    }
+    return collector;
+  }
+
+  async awaitReply(options) {
+    const { collected } = await this.collect({ ...options, max: 1 }).ended;
+    return collected[0] ?? null;
+  }
+
+  async #authorize(plugin, sock, ctx, event, route) {
+    const { id } = plugin._meta;
+    const permissions = route ? [...plugin._meta.permissions, ...route.permissions] : plugin._meta.permissions;
+    if (!permissions.length) return true;
+
+    const permission = await this.#permissions.check(permissions, ctx);
+    if (!permission) return true;
+
+    const hook = plugin.onDenied ?? onDenied;
+    if (typeof hook === 'function') {
+      await hook(sock, ctx, { permission, plugin: id, event });
+    } else if (deniedMessage && ctx.roomId) {
+      await sock.sendMessage(ctx.roomId, { text: deniedMessage }, { quoted: ctx.raw });
+    }
+    return false;
+  }
+
+  async #parseArgs(plugin, sock, ctx, event, route) {
+    const { id } = plugin._meta;
+    const schema = route ? route.args : plugin._meta.args;
+    if (!schema || !ctx._match) return true;
+
     try {
-      await plugin(sock, match ? { ...ctx, _match: match } : ctx, event);
+      ctx.args = parseArgs(schema, ctx._match.rest, ctx);
+      return true;
     } catch (err) {
-      PluginManager.#handleError(`[Plugin:${id}]`, err);
+      if (!(err instanceof ArgumentError)) throw err;
+
+      const { match, prefix } = ctx._match;
+      const command = [typeof match === 'string' ? `${prefix ?? ''}${match}` : '', ...(route?.path ?? [])].join(' ').trim();
+      const usage = (route ? route.usage : plugin.usage) ?? formatUsage(schema, command);
+
+      const hook = plugin.onInvalid ?? onInvalid;
+      if (typeof hook === 'function') {
+        await hook(sock, ctx, { error: err, usage, plugin: id, event });
+      } else if (ctx.roomId) {
+        await sock.sendMessage(ctx.roomId, { text: `${err.message}\nUsage: ${usage}` }, { quoted: ctx.raw });
+      }
+      return false;
     }
   }
 
-  static #initWatcher() {
-    if (PluginManager.#watcher) return;
+  async #throttle(plugin, sock, ctx, event) {
+    const { id, limits } = plugin._meta;
+    const limited = this.#limiter.consume(id, limits, ctx);
+    if (!limited) return true;
+    if (!limited.notify) return false;
+
+    const { scope, wait } = limited;
+    const hook = plugin.onLimited ?? onLimited;
+    if (typeof hook === 'function') {
+      await hook(sock, ctx, { scope, wait, plugin: id, event });
+    } else if (limitedMessage && ctx.roomId) {
+      const text = limitedMessage.replaceAll('{wait}', Math.ceil(wait / 1000));
+      await sock.sendMessage(ctx.roomId, { text }, { quoted: ctx.raw });
+    }
+    return false;
+  }
+
+  async idle() {
+    while (this.#pending.size) {
+      await Promise.allSettled([...this.#pending]);
+    }
+  }
 
-    PluginManager.#watcher = watch(PLUGIN_DIR, {
+  resetLimits(id) {
+    this.#limiter.reset(id);
+  }
+
+  static #watch(root) {
+    if (PluginManager.#watcher) {
+      PluginManager.#watcher.add(root.dir);
+      return;
+    }
+
+    PluginManager.#watcher = watch(root.dir, {
       persistent: true,
       ignoreInitial: true,
-      ignored: [/(^|[/\\])_/, /\.d\.[jt]s$/, /node_modules/, /(^|[/\\])\../],
+      ignored: [p => PluginManager.#isIgnored(p), /\.d\.[jt]s$/, /node_modules/, /(^|[/\\])\../],
       awaitWriteFinish: { stabilityThreshold: 100, pollInterval: 20 },
     })
       .on('add', p => PluginManager.#debounce(p, 'add'))
       .on('change', p => PluginManager.#debounce(p, 'change'))
       .on('unlink', p => PluginManager.#debounce(p, 'unlink'))
-      .on('error', e => PluginManager.#handleError('[Watcher]', e));
+      .on('error', e => PluginManager.#handleError('[Watcher]', e, { phase: 'watcher' }));
   }
 
   static #debounce(filePath, type) {
@@ -400,31 +1272,41 @@ export class PluginManager {
   }
 
   static async #hmr(filePath, type) {
-    const rel = path.relative(PLUGIN_DIR, filePath);
+    const root = PluginManager.#rootOf(filePath);
+    if (!root) return;
+    const rel = path.relative(root.dir, filePath);
 
     try {
       await PluginManager.#getLock(filePath).runExclusive(async () => {
-        if (type === 'unlink') {
-          const n = PluginManager.#unloadFile(filePath);
-          logger.info(`[HMR] Unloaded: ${rel} (${n})`);
-        } else {
-          const parent = PluginManager.#getParent(path.dirname(filePath));
-          const plugins = await PluginManager.#loadFile(filePath, parent, false);
-
-          PluginManager.#unloadFile(filePath);
-
-          for (const [id, plugin] of plugins) {
-            PluginManager.#plugins.set(id, plugin);
-            PluginManager.#register(id, plugin);
-          }
-
-          logger.info(`[HMR] ${type === 'add' ? 'Added' : 'Reloaded'}: ${rel} (${plugins.size})`);
+        if (isMiddlewareFile(filePath)) {
+          const n = type === 'unlink'
+            ? PluginManager.#unloadMiddleware(filePath)
+            : await PluginManager.#loadMiddleware(filePath, root, PluginManager.#getParent(root, path.dirname(filePath)));
+          logger.info(`[HMR] Middleware ${type === 'unlink' ? 'unloaded' : type === 'add' ? 'added' : 'reloaded'}: ${rel} (${n})`);
+          return;
         }
 
-        PluginManager.#syncAll();
+        try {
+          if (type === 'unlink') {
+            const n = await PluginManager.#deactivate(filePath);
+            logger.info(`[HMR] Unloaded: ${rel} (${n})`);
+          } else {
+            const parent = PluginManager.#getParent(root, path.dirname(filePath));
+            const file = await PluginManager.#loadFile(filePath, root, parent, false);
+
+            // a throwing onLoad leaves the previous version in place
+            await PluginManager.#onLoad(file);
+            await PluginManager.#deactivate(filePath);
+            await PluginManager.#activate(file);
+
+            logger.info(`[HMR] ${type === 'add' ? 'Added' : 'Reloaded'}: ${rel} (${file.plugins.size})`);
+          }
+        } finally {
+          PluginManager.#syncAll();
+        }
       });
     } catch (err) {
-      PluginManager.#handleError(`[HMR:${rel}] Failed:`, err);
+      PluginManager.#handleError(`[HMR:${rel}] Failed:`, err, { phase: 'load' });
     } finally {
       if (type === 'unlink') {
         const lock = PluginManager.#fileLocks.get(filePath);
@@ -449,6 +1331,87 @@ export class PluginManager {
     return PluginManager.#plugins.get(id);
   }
 
+  static #toCommand(plugin) {
+    const { id, parent, matchers, permissions, args, subcommands } = plugin._meta;
+    if (!matchers?.strings.length) return null;
+
+    const [name, ...aliases] = matchers.strings;
+    const prefix = matchers.prefixes?.values().next().value ?? '';
+
+    return Object.freeze({
+      id,
+      name,
+      aliases,
+      prefix,
+      category: plugin.category ?? parent ?? DEFAULT_CATEGORY,
+      description: plugin.description ?? null,
+      usage: plugin.usage ?? (args ? formatUsage(args, prefix + name) : prefix + name),
+      examples: [plugin.examples ?? []].flat(),
+      permissions,
+      subcommands: listSubcommands(subcommands, prefix + name),
+    });
+  }
+
+  static #commands() {
+    if (PluginManager.#registry) return PluginManager.#registry;
+
+    PluginManager.#registry = [...PluginManager.#plugins.values()]
+      .filter(plugin => !plugin.hidden && !plugin._meta.disabled)
+      .map(plugin => PluginManager.#toCommand(plugin))
+      .filter(Boolean)
+      .sort((a, b) => a.category.localeCompare(b.category) || a.name.localeCompare(b.name));
+
+    return PluginManager.#registry;
+  }
+
+  async #allowed(command, ctx) {
+    if (!command.permissions.length) return true;
+    return !(await this.#permissions.check(command.permissions, ctx).catch(() => true));
+  }
+
+  #owns(command) {
+    const plugin = PluginManager.#plugins.get(command.id);
+    return !!plugin && this.#accepts(plugin);
+  }
+
+  command(name) {
+    const key = name?.toLowerCase();
+    return PluginManager.#commands()
+      .find(c => (c.name === key || c.aliases.includes(key)) && this.#owns(c)) ?? null;
+  }
+
+  async commands({ category, ctx } = {}) {
+    const commands = [];
+    for (const command of PluginManager.#commands()) {
+      if (!this.#owns(command)) continue;
+      if (category != null && command.category !== category) continue;
+      if (ctx && this.#isDisabled(command.id, ctx)) continue;
+      if (ctx && !(await this.#allowed(command, ctx))) continue;
+      commands.push(command);
+    }
+    return commands;
+  }
+
+  async categories(options) {
+    const categories = new Map();
+    for (const command of await this.commands(options)) {
+      const list = categories.get(command.category) ?? categories.set(command.category, []).get(command.category);
+      list.push(command);
+    }
+    return categories;
+  }
+
+  async #help(sock, ctx) {
+    const name = ctx.args?.command?.replace(/^\W/, '');
+    const command = name && this.command(name);
+
+    const text = command && await this.#allowed(command, ctx)
+      ? renderCommand(command)
+      : renderMenu(await this.categories({ ctx }));
+
+    await sock.sendMessage(ctx.roomId, { text }, { quoted: ctx.raw });
+  }
+
   get all() {
     return new Map(PluginManager.#plugins);
   }
@@ -457,6 +1420,78 @@ export class PluginManager {
     return [...this.#handlers.keys()];
   }
 
+  #isDisabled(id, ctx) {
+    return PluginManager.#toggles.isDisabled(id, { session: this.#session, chat: ctx?.roomId });
+  }
+
+  #scope({ chat, session } = {}) {
+    if (chat != null) return { session: this.#session, chat };
+    if (session != null) return { session: session === true ? this.#session : session };
+    return undefined;
+  }
+
+  async disable(id, scope) {
+    const resolved = this.#scope(scope);
+    const changed = await PluginManager.#toggles.disable(id, resolved);
+    if (!resolved) return PluginManager.#toggle(id, true) || changed;
+    return changed;
+  }
+
+  async enable(id, scope) {
+    const resolved = this.#scope(scope);
+    const changed = await PluginManager.#toggles.enable(id, resolved);
+    if (!resolved) return PluginManager.#toggle(id, false) || changed;
+    return changed;
+  }
+
+  isEnabled(id, scope) {
+    const plugin = PluginManager.#plugins.get(id);
+    if (!plugin || plugin._meta.disabled) return false;
+
+    const { session, chat } = this.#scope(scope) ?? {};
+    return !PluginManager.#toggles.isDisabled(id, { session: session ?? this.#session, chat });
+  }
+
+  disabled(scope) {
+    return PluginManager.#toggles.list(this.#scope(scope));
+  }
+
+  register(id, fn, meta = {}) {
+    if (!id || typeof id !== 'string') throw new TypeError('Invalid plugin id: expected a string');
+    if (typeof fn !== 'function') throw new TypeError('Invalid plugin: expected a function');
+
+    const plugin = Object.assign(fn, meta);
+    PluginManager.#registered.set(id, plugin);
+    PluginManager.#define(id, plugin, { parent: meta.parent ?? null });
+    PluginManager.#syncAll();
+    return plugin;
+  }
+
+  unregister(id) {
+    if (!PluginManager.#registered.delete(id)) return false;
+
+    PluginManager.#unregister(id);
+    PluginManager.#plugins.delete(id);
+    PluginManager.#syncAll();
+    return true;
+  }
+
+  stats(options) {
+    return PluginManager.#metrics.stats(options);
+  }
+
+  resetStats(id) {
+    PluginManager.#metrics.reset(id);
+  }
+
+  get session() {
+    return this.#session;
+  }
+
+  get dirs() {
+    return [...this.#dirs];
+  }
+
   get destroyed() {
     return this.#destroyed;
   }
@@ -470,8 +1505,8 @@ export class PluginManager {
   }
 }
 
-export const pluginManager = async (sock) => {
-  const manager = new PluginManager(sock);
+export const pluginManager = async (sock, options) => {
+  const manager = new PluginManager(sock, options);
   await manager.init();
   return manager;
 }
\ No newline at end of file
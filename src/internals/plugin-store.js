@@ -0,0 +1,117 @@
+import { parseDuration } from '#utils.js';
+import { LMDBManager } from './lmdb-manager.js';
+
+const KEY_PREFIX = 'kitten:store';
+
+// parts can't contain the separators once escaped, so every namespace owns a disjoint key range
+const escapePart = (part) => String(part).replace(/[%:\0]/g, c => `%${c.charCodeAt(0).toString(16).padStart(2, '0')}`);
+
+const isExpired = (record, now = Date.now()) => record?.e != null && record.e <= now;
+
+const expiry = (ttl) => {
+  if (ttl == null) return null;
+  const ms = parseDuration(ttl);
+  if (!Number.isFinite(ms) || ms <= 0) throw new TypeError('[PluginStore] ttl must be a positive duration');
+  return Date.now() + ms;
+};
+
+export class PluginStore {
+  #namespace;
+  #prefix;
+
+  constructor(namespace, ...scope) {
+    if (!namespace) throw new TypeError('[PluginStore] namespace is required');
+    this.#namespace = [namespace, ...scope].map(String);
+    this.#prefix = `${KEY_PREFIX}:${this.#namespace.map(escapePart).join(':')}\0`;
+  }
+
+  get namespace() {
+    return this.#namespace.join(':');
+  }
+
+  scope(...parts) {
+    return new PluginStore(...this.#namespace, ...parts);
+  }
+
+  #key(key) {
+    return this.#prefix + String(key);
+  }
+
+  get(key) {
+    const record = LMDBManager.db.get(this.#key(key));
+    if (record == null) return undefined;
+    if (isExpired(record)) {
+      LMDBManager.db.remove(this.#key(key));
+      return undefined;
+    }
+    return record.v;
+  }
+
+  has(key) {
+    return this.get(key) !== undefined;
+  }
+
+  async put(key, value, { ttl } = {}) {
+    await LMDBManager.db.put(this.#key(key), { v: value, e: expiry(ttl) });
+    return value;
+  }
+
+  async delete(key) {
+    return LMDBManager.db.remove(this.#key(key));
+  }
+
+  async increment(key, by = 1, { ttl } = {}) {
+    const { db } = LMDBManager;
+    const dbKey = this.#key(key);
+
+    return db.transaction(() => {
+      const record = db.get(dbKey);
+      const live = record != null && !isExpired(record);
+      const current = live && typeof record.v === 'number' ? record.v : 0;
+      const value = current + by;
+
+      db.put(dbKey, { v: value, e: ttl != null ? expiry(ttl) : live ? record.e : null });
+      return value;
+    });
+  }
+
+  *range({ start = '', end, limit = Infinity, reverse = false } = {}) {
+    const { db } = LMDBManager;
+    const now = Date.now();
+    const from = this.#prefix + start;
+    const to = end == null ? `${this.#prefix}\xFF` : this.#prefix + end;
+
+    let count = 0;
+    for (const { key, value } of db.getRange(reverse ? { start: to, end: from, reverse } : { start: from, end: to })) {
+      if (count >= limit) return;
+      if (isExpired(value, now)) continue;
+      count++;
+      yield { key: key.slice(this.#prefix.length), value: value.v };
+    }
+  }
+
+  async prune() {
+    const { db } = LMDBManager;
+    const now = Date.now();
+    const writes = [];
+
+    for (const { key, value } of db.getRange({ start: this.#prefix, end: `${this.#prefix}\xFF` })) {
+      if (isExpired(value, now)) writes.push(db.remove(key));
+    }
+
+    await Promise.all(writes);
+    return writes.length;
+  }
+
+  async clear() {
+    const { db } = LMDBManager;
+    const writes = [];
+
+    for (const { key } of db.getRange({ start: this.#prefix, end: `${this.#prefix}\xFF` })) {
+      writes.push(db.remove(key));
+    }
+
+    await Promise.all(writes);
+    return writes.length;
+  }
+}
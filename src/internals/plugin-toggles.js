@@ -0,0 +1,61 @@
+import { LMDBManager } from './lmdb-manager.js';
+
+const KEY_PREFIX = 'kitten:disabled:';
+
+const scopeKey = ({ session, chat } = {}) => {
+  if (chat != null) return `${KEY_PREFIX}chat:${session ?? '*'}:${chat}`;
+  if (session != null) return `${KEY_PREFIX}session:${session}`;
+  return `${KEY_PREFIX}*`;
+};
+
+export class PluginToggles {
+  #cache = new Map();
+
+  #get(key) {
+    let ids = this.#cache.get(key);
+    if (!ids) {
+      ids = new Set(LMDBManager.db.get(key) ?? []);
+      this.#cache.set(key, ids);
+    }
+    return ids;
+  }
+
+  async #update(scope, id, disabled) {
+    const key = scopeKey(scope);
+    const ids = this.#get(key);
+    if (ids.has(id) === disabled) return false;
+
+    if (disabled) ids.add(id);
+    else ids.delete(id);
+
+    if (ids.size) await LMDBManager.db.put(key, [...ids]);
+    else await LMDBManager.db.remove(key);
+    return true;
+  }
+
+  disable(id, scope) {
+    return this.#update(scope, id, true);
+  }
+
+  enable(id, scope) {
+    return this.#update(scope, id, false);
+  }
+
+  has(id, scope) {
+    return this.#get(scopeKey(scope)).has(id);
+  }
+
+  isDisabled(id, { session, chat } = {}) {
+    return this.has(id)
+      || (session != null && this.has(id, { session }))
+      || (chat != null && this.has(id, { session, chat }));
+  }
+
+  list(scope) {
+    return [...this.#get(scopeKey(scope))];
+  }
+
+  clear() {
+    this.#cache.clear();
+  }
+}
@@ -0,0 +1,116 @@
+import { parentPort } from 'worker_threads';
+import fs from 'fs/promises';
+import { pathToFileURL } from 'url';
+import { isTypeScript, registerTypeScript } from './typescript.js';
+import { userOf } from '#jid.js';
+import { STORE_METHODS, decodeError, encodeError, revive, serialize } from './isolation.js';
+
+const STOP = Symbol.for('kitten.stop');
+
+const jobs = new Map();
+const calls = new Map();
+let nextCall = 0;
+
+const call = (job, target, method, args = [], scope = []) => new Promise((resolve, reject) => {
+  const id = ++nextCall;
+  calls.set(id, { resolve, reject });
+  parentPort.postMessage({ type: 'call', job, call: id, target, method, args: serialize(args), scope });
+});
+
+const sameUser = (a, b) => !!a && !!b && userOf(a) === userOf(b);
+
+const createSock = (job, user) => new Proxy({ user }, {
+  get: (target, prop) => {
+    if (prop in target) return target[prop];
+    if (typeof prop !== 'string' || prop === 'then') return undefined;
+    return (...args) => call(job, 'sock', prop, args);
+  },
+});
+
+const createStore = (job, scope = []) => ({
+  ...Object.fromEntries([...STORE_METHODS].map(m => [m, (...args) => call(job, 'store', m, args, scope)])),
+  scope: (...parts) => createStore(job, [...scope, ...parts]),
+});
+
+const createContext = (job, data, methods, signal) => {
+  const ctx = {
+    ...data,
+    signal,
+    store: createStore(job),
+    stop: () => call(job, 'ctx', 'stop'),
+    awaitReply: (options) => call(job, 'ctx', 'awaitReply', [options]),
+    collect: () => {
+      throw new Error('[Isolate] ctx.collect() is not available in isolated plugins, use ctx.awaitReply()');
+    },
+  };
+
+  for (const method of methods ?? []) {
+    ctx[method] = (...args) => call(job, 'ctx', method, args);
+  }
+  if (data.jid !== undefined) ctx.senderIs = (jid) => sameUser(data.jid, jid);
+
+  if (data.quoted) {
+    ctx.quoted = {
+      ...data.quoted,
+      load: () => call(job, 'ctx', 'loadQuoted'),
+      pn: () => call(job, 'ctx', 'pnQuoted'),
+      senderIs: (jid) => sameUser(data.quoted.jid, jid),
+      reply: (content, options) => call(job, 'ctx', 'replyQuoted', [content, options]),
+    };
+  }
+
+  return ctx;
+};
+
+const resolvePlugin = async (filePath, name, route) => {
+  const { mtimeMs } = await fs.stat(filePath);
+  if (isTypeScript(filePath)) registerTypeScript();
+
+  const mod = await import(`${pathToFileURL(filePath)}?v=${Math.trunc(mtimeMs)}`);
+  const value = mod[name];
+  let node = typeof value === 'function' ? value : value?.default;
+  let children = value?.subcommands ?? node?.subcommands;
+
+  for (const part of route ?? []) {
+    const key = Object.keys(children ?? {}).find(k => k.toLowerCase() === part);
+    node = children?.[key];
+    children = typeof node === 'function' ? node.subcommands : node;
+  }
+
+  if (typeof node !== 'function') throw new Error(`[Isolate] Plugin not found: ${name}`);
+  return node;
+};
+
+const run = async ({ job, filePath, name, route, ctx, methods, event, user }) => {
+  const controller = new AbortController();
+  jobs.set(job, controller);
+
+  try {
+    const plugin = await resolvePlugin(filePath, name, route);
+    const result = await plugin(createSock(job, user), createContext(job, revive(ctx), methods, controller.signal), event);
+    parentPort.postMessage({ type: 'done', job, stop: result === STOP });
+  } catch (err) {
+    parentPort.postMessage({ type: 'fail', job, error: encodeError(err) });
+  } finally {
+    jobs.delete(job);
+  }
+};
+
+parentPort.on('message', (msg) => {
+  switch (msg.type) {
+    case 'run':
+      run(msg);
+      break;
+    case 'abort':
+      jobs.get(msg.job)?.abort(decodeError(msg.reason));
+      break;
+    case 'reply': {
+      const pending = calls.get(msg.call);
+      if (!pending) return;
+      calls.delete(msg.call);
+      if (msg.error) pending.reject(decodeError(msg.error));
+      else pending.resolve(revive(msg.value));
+      break;
+    }
+  }
+});
@@ -0,0 +1,107 @@
+import { parseDuration } from '#utils.js';
+import { SCOPES } from './scopes.js';
+
+const SWEEP_EVERY = 1000;
+
+const parseRate = (value) => {
+  if (typeof value === 'object' && value !== null) {
+    return { max: value.max, window: parseDuration(value.window) };
+  }
+  const [max, window] = String(value).split('/');
+  return { max: Number(max), window: parseDuration(window ?? '') };
+};
+
+const toLimit = (scope, { max, window }, source) => {
+  if (!SCOPES[scope]) {
+    throw new Error(`[RateLimiter] Unknown ${source} scope: ${scope}`);
+  }
+  if (!Number.isInteger(max) || max < 1 || !(window > 0)) {
+    throw new Error(`[RateLimiter] Invalid ${source} for ${scope}`);
+  }
+  return { scope, max, window };
+};
+
+const entries = (option) => typeof option === 'object' && option !== null
+  ? Object.entries(option)
+  : [['perUser', option]];
+
+export const compileLimits = (cooldown, rateLimit) => {
+  const limits = [];
+
+  if (cooldown != null) {
+    for (const [scope, value] of entries(cooldown)) {
+      limits.push(toLimit(scope, { max: 1, window: parseDuration(value) }, 'cooldown'));
+    }
+  }
+
+  if (rateLimit != null) {
+    for (const [scope, value] of entries(rateLimit)) {
+      limits.push(toLimit(scope, parseRate(value), 'rateLimit'));
+    }
+  }
+
+  return limits;
+};
+
+export class RateLimiter {
+  #entries = new Map();
+  #calls = 0;
+
+  #get(key, now, window) {
+    const entry = this.#entries.get(key);
+    if (!entry) return null;
+
+    while (entry.hits.length && now - entry.hits[0] >= window) entry.hits.shift();
+    if (entry.hits.length) return entry;
+
+    this.#entries.delete(key);
+    return null;
+  }
+
+  #sweep(now) {
+    for (const [key, { hits, window }] of this.#entries) {
+      if (!hits.length || now - hits.at(-1) >= window) this.#entries.delete(key);
+    }
+  }
+
+  consume(id, limits, ctx) {
+    if (!limits.length) return null;
+
+    const now = Date.now();
+    if (++this.#calls % SWEEP_EVERY === 0) this.#sweep(now);
+
+    const pending = [];
+    for (const { scope, max, window } of limits) {
+      const subject = SCOPES[scope](ctx);
+      if (!subject) continue;
+
+      const key = `${id}|${scope}|${subject}`;
+      const entry = this.#get(key, now, window);
+
+      if (entry && entry.hits.length >= max) {
+        const notify = !entry.notified;
+        entry.notified = true;
+        return { scope, wait: window - (now - entry.hits[0]), notify };
+      }
+      pending.push({ key, entry, window });
+    }
+
+    for (const { key, entry, window } of pending) {
+      if (entry) {
+        entry.hits.push(now);
+        entry.notified = false;
+      } else {
+        this.#entries.set(key, { hits: [now], window, notified: false });
+      }
+    }
+    return null;
+  }
+
+  reset(id) {
+    if (id == null) return this.#entries.clear();
+
+    for (const key of this.#entries.keys()) {
+      if (key.startsWith(`${id}|`)) this.#entries.delete(key);
+    }
+  }
+}
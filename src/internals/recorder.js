@@ -0,0 +1,112 @@
+import { createWriteStream, mkdirSync } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { deserialize, serializeMessage } from '#utils.js';
+import { EVENTS } from './events.js';
+import { logger } from './logger.js';
+
+const DEFAULT_EXCLUDE = ['creds.update'];
+
+export class EventRecorder {
+  #sock;
+  #file;
+  #session;
+  #events;
+  #stream = null;
+  #handlers = new Map();
+  #user = null;
+  #count = 0;
+
+  constructor(sock, { file, session = null, events = null, exclude = DEFAULT_EXCLUDE } = {}) {
+    if (!sock?.ev) throw new TypeError('Invalid socket: missing ev property');
+    if (!file) throw new TypeError('[Recorder] Missing file');
+
+    const excluded = new Set(exclude ?? []);
+    const selected = events ?? [...EVENTS].filter(e => !excluded.has(e));
+    const unknown = selected.filter(e => !EVENTS.has(e));
+    if (unknown.length) throw new TypeError(`[Recorder] Unknown events: ${unknown.join(', ')}`);
+
+    this.#sock = sock;
+    this.#session = session;
+    this.#events = selected;
+    this.#file = path.resolve(process.cwd(), file);
+  }
+
+  start() {
+    if (this.#stream) return this;
+
+    mkdirSync(path.dirname(this.#file), { recursive: true });
+    this.#stream = createWriteStream(this.#file, { flags: 'a' });
+    this.#stream.on('error', (err) => {
+      logger.error(err, `[Recorder] Failed to write ${this.#file}`);
+      this.stop();
+    });
+
+    for (const event of this.#events) {
+      const handler = (data) => this.#write(event, data);
+      this.#sock.ev.on(event, handler);
+      this.#handlers.set(event, handler);
+    }
+    return this;
+  }
+
+  #write(event, data) {
+    if (!this.#stream) return;
+
+    const at = Date.now();
+    const user = this.#sock.user;
+    if (user && (user.id !== this.#user?.id || user.lid !== this.#user?.lid)) {
+      this.#user = { id: user.id, lid: user.lid, name: user.name };
+      this.#line({ at, session: this.#session, user: this.#user });
+    }
+
+    this.#line({ at, session: this.#session, event, data });
+    this.#count++;
+  }
+
+  #line(entry) {
+    try {
+      this.#stream.write(`${serializeMessage(entry)}\n`);
+    } catch (err) {
+      logger.error(err, `[Recorder] Failed to serialize ${entry.event ?? 'entry'}`);
+    }
+  }
+
+  async stop() {
+    for (const [event, handler] of this.#handlers) {
+      this.#sock.ev.off(event, handler);
+    }
+    this.#handlers.clear();
+
+    const stream = this.#stream;
+    this.#stream = null;
+    if (stream && !stream.destroyed) await new Promise(resolve => stream.end(resolve));
+  }
+
+  get file() {
+    return this.#file;
+  }
+
+  get recording() {
+    return this.#stream !== null;
+  }
+
+  get count() {
+    return this.#count;
+  }
+}
+
+export const readRecording = async (file) => {
+  const content = await fs.readFile(path.resolve(process.cwd(), file), 'utf8');
+  const entries = [];
+
+  for (const [i, line] of content.split('\n').entries()) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(deserialize(line));
+    } catch (err) {
+      throw new Error(`[Recorder] Invalid entry at line ${i + 1}: ${err.message}`, { cause: err });
+    }
+  }
+  return entries;
+};
@@ -0,0 +1,204 @@
+import { parseDuration } from '#utils.js';
+import { LMDBManager } from './lmdb-manager.js';
+
+const KEY_PREFIX = 'kitten:schedule:';
+const MINUTE = 60_000;
+const MAX_DELAY = 2 ** 31 - 1;
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'weekday', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const parseField = (source, { name, min, max, names }) => {
+  const values = new Set();
+  const toNumber = (token) => {
+    const index = names?.indexOf(token.toLowerCase()) ?? -1;
+    const value = index >= 0 ? index + (name === 'month' ? 1 : 0) : Number(token);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new Error(`[Scheduler] Invalid ${name}: ${token}`);
+    }
+    return value;
+  };
+
+  for (const part of source.split(',')) {
+    const [range, stepToken] = part.split('/');
+    const step = stepToken == null ? 1 : Number(stepToken);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`[Scheduler] Invalid ${name} step: ${part}`);
+
+    const [from, to] = range === '*'
+      ? [min, max]
+      : range.includes('-')
+        ? range.split('-').map(toNumber)
+        : [toNumber(range), stepToken == null ? toNumber(range) : max];
+    if (from > to) throw new Error(`[Scheduler] Invalid ${name} range: ${part}`);
+
+    for (let v = from; v <= to; v += step) values.add(name === 'weekday' && v === 7 ? 0 : v);
+  }
+
+  return { values, any: source === '*' };
+};
+
+export const parseCron = (expression) => {
+  const source = MACROS[expression.trim()] ?? expression.trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) throw new Error(`[Scheduler] Invalid cron expression: ${expression}`);
+
+  const [minute, hour, day, month, weekday] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  return { minute, hour, day, month, weekday };
+};
+
+const formatters = new Map();
+
+const zonedParts = (time, timeZone) => {
+  let format = formatters.get(timeZone);
+  if (!format) {
+    format = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short',
+    });
+    formatters.set(timeZone, format);
+  }
+
+  const parts = Object.fromEntries(format.formatToParts(time).map(p => [p.type, p.value]));
+  return {
+    minute: Number(parts.minute),
+    hour: Number(parts.hour),
+    day: Number(parts.day),
+    month: Number(parts.month),
+    weekday: WEEKDAYS[parts.weekday],
+  };
+};
+
+const dayMatches = (cron, { day, weekday }) => {
+  if (cron.day.any || cron.weekday.any) {
+    return cron.day.values.has(day) && cron.weekday.values.has(weekday);
+  }
+  return cron.day.values.has(day) || cron.weekday.values.has(weekday);
+};
+
+// the wall-clock time already happened an hour earlier, when clocks fall back
+const isRepeated = (time, now, timeZone) => {
+  const before = zonedParts(time - 60 * MINUTE, timeZone);
+  return before.day === now.day && before.hour === now.hour && before.minute === now.minute;
+};
+
+const nextCron = (cron, from, timeZone) => {
+  let time = Math.floor(from / MINUTE) * MINUTE + MINUTE;
+  const limit = time + 5 * 366 * 24 * 60 * MINUTE;
+
+  while (time < limit) {
+    const now = zonedParts(time, timeZone);
+
+    if (!cron.month.values.has(now.month) || !dayMatches(cron, now)) {
+      time += (24 * 60 - now.hour * 60 - now.minute) * MINUTE;
+    } else if (!cron.hour.values.has(now.hour)) {
+      time += (60 - now.minute) * MINUTE;
+    } else if (!cron.minute.values.has(now.minute)) {
+      time += MINUTE;
+    } else if (!cron.hour.any && isRepeated(time, now, timeZone)) {
+      time += MINUTE;
+    } else {
+      return time;
+    }
+  }
+
+  throw new Error('[Scheduler] Cron expression never fires');
+};
+
+export const compileSchedule = (plugin, timeZone) => {
+  const { schedule, every } = plugin;
+  if (schedule == null && every == null) return null;
+  if (schedule != null && every != null) throw new Error('[Scheduler] Use either `schedule` or `every`, not both');
+
+  const interval = every != null ? parseDuration(every) : null;
+  if (interval != null && !(interval > 0)) throw new Error(`[Scheduler] Invalid interval: ${every}`);
+
+  const compiled = {
+    cron: schedule != null ? parseCron(schedule) : null,
+    interval,
+    timeZone: plugin.timeZone ?? timeZone,
+    catchUp: plugin.catchUp !== false,
+  };
+
+  // throws for a cron that never fires, before any plugin of the file is registered
+  nextRun(compiled, Date.now());
+  return compiled;
+};
+
+export const nextRun = (schedule, from) => schedule.interval != null
+  ? from + schedule.interval
+  : nextCron(schedule.cron, from, schedule.timeZone);
+
+export class Scheduler {
+  #timers = new Map();
+  #onError;
+
+  constructor({ onError } = {}) {
+    this.#onError = onError;
+  }
+
+  add(id, schedule, run) {
+    this.delete(id);
+
+    const now = Date.now();
+    const last = LMDBManager.db.get(KEY_PREFIX + id) ?? null;
+
+    let at = nextRun(schedule, last ?? now);
+    if (at <= now && !schedule.catchUp) at = nextRun(schedule, now);
+
+    this.#arm(id, schedule, run, at, last);
+  }
+
+  #arm(id, schedule, run, at, last) {
+    const timer = setTimeout(async () => {
+      if (this.#timers.get(id) !== timer) return;
+      if (at > Date.now()) return this.#arm(id, schedule, run, at, last);
+
+      try {
+        await LMDBManager.db.put(KEY_PREFIX + id, at);
+        this.#arm(id, schedule, run, nextRun(schedule, Math.max(at, Date.now())), at);
+        await run({ scheduledAt: at, lastRun: last });
+      } catch (err) {
+        this.#onError?.(id, err);
+      }
+    }, Math.min(Math.max(0, at - Date.now()), MAX_DELAY));
+
+    timer.unref?.();
+    this.#timers.set(id, timer);
+  }
+
+  delete(id) {
+    clearTimeout(this.#timers.get(id));
+    return this.#timers.delete(id);
+  }
+
+  clear() {
+    this.#timers.forEach(clearTimeout);
+    this.#timers.clear();
+  }
+
+  get size() {
+    return this.#timers.size;
+  }
+}
@@ -0,0 +1,5 @@
+export const SCOPES = {
+  perUser: ctx => ctx.jid,
+  perChat: ctx => ctx.roomId,
+  global: () => '*',
+};
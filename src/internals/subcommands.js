@@ -0,0 +1,82 @@
+import { compileArgs, formatUsage } from './arg-parser.js';
+
+const WORD = /^\s*(\S+)/;
+
+export const compileSubcommands = (tree, path = []) => {
+  if (tree == null) return null;
+  if (typeof tree !== 'object') throw new TypeError('[Subcommands] Expected an object of handlers');
+
+  const children = new Map();
+  for (const [key, node] of Object.entries(tree)) {
+    const name = key.toLowerCase();
+    const nodePath = [...path, name];
+    const isHandler = typeof node === 'function';
+    if (!isHandler && (node == null || typeof node !== 'object')) {
+      throw new TypeError(`[Subcommands] Invalid handler for ${nodePath.join(' ')}`);
+    }
+
+    const entry = {
+      name,
+      path: nodePath,
+      handler: isHandler ? node : null,
+      aliases: isHandler ? [node.aliases ?? []].flat().map(a => a.toLowerCase()) : [],
+      args: isHandler ? compileArgs(node.args) : null,
+      permissions: isHandler ? [node.permissions ?? []].flat().filter(Boolean) : [],
+      description: isHandler ? node.description ?? null : null,
+      usage: isHandler ? node.usage ?? null : null,
+      children: compileSubcommands(isHandler ? node.subcommands : node, nodePath),
+    };
+
+    for (const alias of [name, ...entry.aliases]) {
+      if (children.has(alias)) throw new Error(`[Subcommands] Duplicate name: ${[...path, alias].join(' ')}`);
+      children.set(alias, entry);
+    }
+  }
+
+  return children.size ? children : null;
+};
+
+export const routeSubcommand = (tree, rest) => {
+  let route = null;
+  let children = tree;
+  let remaining = rest;
+
+  while (children) {
+    const m = WORD.exec(remaining);
+    const entry = m && children.get(m[1].toLowerCase());
+    if (!entry) break;
+
+    remaining = remaining.slice(m[0].length);
+    if (entry.handler) route = { ...entry, rest: remaining };
+    children = entry.children;
+  }
+
+  return route;
+};
+
+export const listSubcommands = (tree, command) => {
+  const list = [];
+  const seen = new Set();
+
+  const walk = (children) => {
+    for (const entry of children?.values() ?? []) {
+      if (seen.has(entry)) continue;
+      seen.add(entry);
+
+      if (entry.handler) {
+        const name = entry.path.join(' ');
+        list.push(Object.freeze({
+          name,
+          aliases: entry.aliases,
+          description: entry.description,
+          usage: entry.usage ?? (entry.args ? formatUsage(entry.args, `${command} ${name}`) : `${command} ${name}`),
+          permissions: entry.permissions,
+        }));
+      }
+      walk(entry.children);
+    }
+  };
+
+  walk(tree);
+  return list;
+};
@@ -0,0 +1,39 @@
+const distance = (a, b) => {
+  if (a === b) return 0;
+
+  let before = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(
+        prev[j] + 1,
+        row[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], before[j - 2] + 1);
+      }
+    }
+    before = prev;
+    prev = row;
+  }
+  return prev[b.length];
+};
+
+export const closest = (word, candidates) => {
+  const max = Math.max(1, Math.floor(word.length / 3));
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of candidates) {
+    if (Math.abs(candidate.length - word.length) > max) continue;
+    const d = distance(word, candidate);
+    if (d <= max && d < bestDistance) {
+      best = candidate;
+      bestDistance = d;
+    }
+  }
+
+  return best;
+};
@@ -0,0 +1,113 @@
+import { createHash } from 'crypto';
+import fs from 'fs/promises';
+import nodeModule from 'module';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const TS_FILE = /\.m?ts$/;
+const CACHE_DIR = path.join(process.cwd(), 'node_modules', '.cache', 'kitten', 'ts');
+
+const memory = new Map();
+let compiler = null;
+
+const inlineMap = (map) =>
+  `\n//# sourceMappingURL=data:application/json;base64,${Buffer.from(typeof map === 'string' ? map : JSON.stringify(map)).toString('base64')}`;
+
+const tryImport = (name) => import(name).catch(() => null);
+
+const loadCompiler = async () => {
+  const { stripTypeScriptTypes } = nodeModule;
+  if (typeof stripTypeScriptTypes === 'function') {
+    return {
+      id: `node@${process.version}`,
+      transpile: (source, filename) => {
+        try {
+          return stripTypeScriptTypes(source, { mode: 'strip' });
+        } catch {
+          return stripTypeScriptTypes(source, { mode: 'transform', sourceMap: true, sourceUrl: filename });
+        }
+      },
+    };
+  }
+
+  const esbuild = await tryImport('esbuild');
+  if (esbuild) {
+    return {
+      id: `esbuild@${esbuild.version}`,
+      transpile: async (source, filename) => {
+        const { code, map } = await esbuild.transform(source, {
+          loader: 'ts',
+          format: 'esm',
+          target: `node${process.versions.node}`,
+          sourcemap: 'external',
+          sourcefile: filename,
+        });
+        return code + inlineMap(map);
+      },
+    };
+  }
+
+  const ts = (await tryImport('typescript'))?.default;
+  if (ts) {
+    return {
+      id: `typescript@${ts.version}`,
+      transpile: (source, filename) => ts.transpileModule(source, {
+        fileName: filename,
+        compilerOptions: {
+          module: ts.ModuleKind.ESNext,
+          target: ts.ScriptTarget.ES2022,
+          inlineSourceMap: true,
+          inlineSources: true,
+        },
+      }).outputText,
+    };
+  }
+
+  throw new Error('[TypeScript] No transpiler available: use Node.js >= 22.13 or install esbuild or typescript');
+};
+
+const transpile = async (filename, source) => {
+  compiler ??= await loadCompiler();
+
+  const hash = createHash('sha1').update(`${compiler.id}\0${filename}\0${source}`).digest('hex');
+  if (memory.has(hash)) return memory.get(hash);
+
+  const cacheFile = path.join(CACHE_DIR, `${hash}.js`);
+  let code = await fs.readFile(cacheFile, 'utf8').catch(() => null);
+
+  if (code == null) {
+    code = await compiler.transpile(source, filename);
+    await fs.mkdir(CACHE_DIR, { recursive: true })
+      .then(() => fs.writeFile(cacheFile, code))
+      .catch(() => {});
+  }
+
+  memory.set(hash, code);
+  return code;
+};
+
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (err) {
+    const fromTs = context.parentURL && TS_FILE.test(new URL(context.parentURL).pathname);
+    if (err?.code !== 'ERR_MODULE_NOT_FOUND' || !fromTs || !/\.m?js$/.test(specifier)) throw err;
+    return nextResolve(specifier.replace(/js$/, 'ts'), context);
+  }
+}
+
+export async function load(url, context, nextLoad) {
+  if (!url.startsWith('file:') || !TS_FILE.test(new URL(url).pathname)) {
+    return nextLoad(url, context);
+  }
+
+  const filename = fileURLToPath(url);
+  const source = await fs.readFile(filename, 'utf8');
+
+  try {
+    return { format: 'module', source: await transpile(filename, source), shortCircuit: true };
+  } catch (err) {
+    err.message = `[TypeScript] ${path.basename(filename)}: ${err.message}`;
+    throw err;
+  }
+}
@@ -0,0 +1,13 @@
+import { register } from 'module';
+
+let registered = false;
+
+export const isTypeScript = (filePath) => /(?<!\.d)\.m?ts$/.test(filePath);
+
+export const registerTypeScript = () => {
+  if (registered) return;
+  registered = true;
+
+  process.setSourceMapsEnabled(true);
+  register('./ts-hooks.js', import.meta.url);
+};
@@ -0,0 +1,70 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { LMDBManager, PluginManager, pluginManager } from '#internals.js';
+import { createMockSocket } from './mock-socket.js';
+import { text } from './messages.js';
+
+export * from './mock-socket.js';
+export * from './messages.js';
+export * from './replay.js';
+
+export const createTestBot = async ({
+  plugins = {},
+  config = {},
+  session = null,
+  user,
+  groups,
+  lids,
+  ...options
+} = {}) => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'kitten-test-'));
+  const dir = path.join(tmp, 'plugins');
+  await fs.mkdir(dir, { recursive: true });
+
+  for (const [file, source] of Object.entries(plugins)) {
+    const filePath = path.join(dir, file);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, source);
+  }
+
+  PluginManager.configure({
+    ...config,
+    plugins: { ...config.plugins, dir, dirs: [dir], hmr: { enable: false, ...config.plugins?.hmr } },
+  });
+
+  const ownsDatabase = !LMDBManager.isOpen;
+  if (ownsDatabase) LMDBManager.configure({ path: path.join(tmp, 'db') });
+
+  const sock = createMockSocket({ user, groups, lids });
+  const manager = await pluginManager(sock, { session, ...options });
+
+  const emit = async (event, data, { wait = true } = {}) => {
+    const start = sock.calls.length;
+    sock.ev.emit(event, data);
+    if (wait) await manager.idle();
+    return sock.calls.slice(start);
+  };
+
+  const send = async (input, { wait, ...options } = {}) => {
+    const raw = typeof input === 'string' ? text(input, options) : input;
+    const start = sock.sent.length;
+    await emit('messages.upsert', { messages: [raw], type: 'notify' }, { wait });
+    return sock.sent.slice(start);
+  };
+
+  return {
+    sock,
+    manager,
+    dir,
+    send,
+    emit,
+    idle: () => manager.idle(),
+    async destroy() {
+      manager.destroy();
+      PluginManager.reset();
+      if (ownsDatabase) await LMDBManager.close();
+      await fs.rm(tmp, { recursive: true, force: true });
+    },
+  };
+};
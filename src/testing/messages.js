@@ -0,0 +1,72 @@
+import { isJidGroup } from 'baileys';
+import { formatter } from '#formatter.js';
+
+const DEFAULT_SENDER = '20000000000@s.whatsapp.net';
+
+let nextId = 0;
+
+export const messageId = () => `3EB0${(++nextId).toString(16).toUpperCase().padStart(16, '0')}`;
+
+export const toJid = (id, server = '@s.whatsapp.net') => {
+  const value = String(id);
+  return value.includes('@') ? value : `${value.replace(/^\+/, '')}${server}`;
+};
+
+const mentionsOf = (body) => [...String(body ?? '').matchAll(/@(\d{5,16})\b/g)].map(m => toJid(m[1]));
+
+const quote = (target) => target && {
+  stanzaId: target.key.id,
+  participant: target.key.participant ?? target.participant ?? target.key.remoteJid,
+  quotedMessage: target.message,
+};
+
+const build = (content, {
+  from = DEFAULT_SENDER,
+  chat = null,
+  fromMe = false,
+  name = 'Tester',
+  id = messageId(),
+  timestamp = Math.floor(Date.now() / 1000),
+  quoted: target = null,
+  mentions = null,
+  forwarded = false,
+} = {}) => {
+  const sender = toJid(from);
+  const roomId = chat ? toJid(chat, '@g.us') : sender;
+  const group = isJidGroup(roomId);
+
+  const contextInfo = {
+    ...quote(target),
+    ...(mentions?.length && { mentionedJid: mentions.map(m => toJid(m)) }),
+    ...(forwarded && { isForwarded: true, forwardingScore: forwarded === true ? 1 : forwarded }),
+  };
+  const [type, data] = content(Object.keys(contextInfo).length ? contextInfo : undefined);
+
+  return {
+    key: { remoteJid: roomId, fromMe, id, ...(group && { participant: sender }) },
+    message: { [type]: data },
+    pushName: name,
+    messageTimestamp: timestamp,
+  };
+};
+
+export const text = (body, options = {}) => build(
+  (contextInfo) => (contextInfo ? ['extendedTextMessage', { text: body, contextInfo }] : ['conversation', body]),
+  { mentions: mentionsOf(body), ...options }
+);
+
+export const image = ({ caption, mimetype = 'image/jpeg', thumbnail } = {}, options = {}) => build(
+  (contextInfo) => ['imageMessage', { caption, mimetype, jpegThumbnail: thumbnail, contextInfo }],
+  { mentions: mentionsOf(caption), ...options }
+);
+
+export const quoted = (target, body, options = {}) => text(body, { ...options, quoted: target });
+
+export const group = (chat, body, options = {}) => text(body, { ...options, chat });
+
+export const mention = (jids, body, options = {}) => {
+  const list = [jids].flat().map(j => toJid(j));
+  return text(body ?? list.map(j => `@${j.split('@')[0]}`).join(' '), { ...options, mentions: list });
+};
+
+export const format = (sock, raw) => formatter(sock, raw, 'messages.upsert');
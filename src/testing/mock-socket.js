@@ -0,0 +1,137 @@
+import { EventEmitter } from 'events';
+import { isJidGroup, jidNormalizedUser } from 'baileys';
+import { messageId, toJid } from './messages.js';
+
+const BOT_USER = {
+  id: '10000000000:1@s.whatsapp.net',
+  lid: '100000000000000:1@lid',
+  name: 'Kitten',
+};
+
+const PARTICIPANT_ACTIONS = {
+  add: (participants, jid) => [...participants, { id: jid, admin: null }],
+  remove: (participants, jid) => participants.filter(p => p.id !== jid),
+  promote: (participants, jid) => participants.map(p => (p.id === jid ? { ...p, admin: 'admin' } : p)),
+  demote: (participants, jid) => participants.map(p => (p.id === jid ? { ...p, admin: null } : p)),
+};
+
+const forwarded = ({ message = {} }) => {
+  const [type, data] = Object.entries(message)[0] ?? [];
+  if (!type) return {};
+  const { contextInfo = {}, ...rest } = type === 'conversation' ? { text: data } : data;
+  return {
+    [type === 'conversation' ? 'extendedTextMessage' : type]: {
+      ...rest,
+      contextInfo: { ...contextInfo, isForwarded: true, forwardingScore: (contextInfo.forwardingScore ?? 0) + 1 },
+    },
+  };
+};
+
+const toMessage = (content, contextInfo) => {
+  if (content.edit) {
+    const { edit, ...rest } = content;
+    return { protocolMessage: { key: edit, type: 14, editedMessage: toMessage(rest, contextInfo) } };
+  }
+  if (content.forward) return forwarded(content.forward);
+  if (content.react) return { reactionMessage: { key: content.react.key, text: content.react.text } };
+  if (content.delete) return { protocolMessage: { key: content.delete, type: 0 } };
+  if (content.text != null) return { extendedTextMessage: { text: content.text, contextInfo } };
+  if (content.image) return { imageMessage: { caption: content.caption, mimetype: content.mimetype ?? 'image/jpeg', contextInfo } };
+  if (content.video) return { videoMessage: { caption: content.caption, mimetype: content.mimetype ?? 'video/mp4', contextInfo } };
+  if (content.document) return { documentMessage: { fileName: content.fileName, mimetype: content.mimetype, contextInfo } };
+  return {};
+};
+
+const toGroup = (id, group) => ({
+  id,
+  subject: group.subject ?? id.split('@')[0],
+  owner: group.owner ? toJid(group.owner) : undefined,
+  participants: (group.participants ?? []).map(p => (
+    typeof p === 'string' ? { id: toJid(p), admin: null } : { ...p, id: toJid(p.id), admin: p.admin ?? null }
+  )),
+});
+
+export const createMockSocket = ({ user = {}, groups = {}, lids = {} } = {}) => {
+  const ev = new EventEmitter();
+  ev.setMaxListeners(0);
+
+  const me = { ...BOT_USER, ...user };
+  const calls = [];
+  const metadata = new Map(
+    Object.entries(groups).map(([id, group]) => [toJid(id, '@g.us'), toGroup(toJid(id, '@g.us'), group)])
+  );
+  const pnForLid = new Map(Object.entries(lids).map(([lid, pn]) => [toJid(lid, '@lid'), toJid(pn)]));
+
+  const record = (method, args, result) => {
+    calls.push({ method, args, result, at: Date.now() });
+    return result;
+  };
+
+  const methods = {
+    async sendMessage(jid, content, options = {}) {
+      const message = {
+        key: { remoteJid: jid, fromMe: true, id: messageId() },
+        message: toMessage(content, options.quoted ? {
+          stanzaId: options.quoted.key?.id,
+          participant: options.quoted.key?.participant ?? options.quoted.participant ?? options.quoted.key?.remoteJid,
+          quotedMessage: options.quoted.message,
+          mentionedJid: content.mentions,
+        } : content.mentions && { mentionedJid: content.mentions }),
+        messageTimestamp: Math.floor(Date.now() / 1000),
+        participant: isJidGroup(jid) ? jidNormalizedUser(me.lid) : undefined,
+      };
+      return record('sendMessage', [jid, content, options], message);
+    },
+
+    async groupMetadata(jid) {
+      const group = metadata.get(jid);
+      if (!group) throw Object.assign(new Error('item-not-found'), { output: { statusCode: 404 } });
+      return record('groupMetadata', [jid], structuredClone(group));
+    },
+
+    async groupParticipantsUpdate(jid, participants, action) {
+      const group = metadata.get(jid);
+      const apply = PARTICIPANT_ACTIONS[action];
+      if (group && apply) {
+        for (const p of participants) group.participants = apply(group.participants, toJid(p));
+      }
+      return record('groupParticipantsUpdate', [jid, participants, action], participants.map(p => ({ status: '200', jid: p })));
+    },
+
+    signalRepository: {
+      lidMapping: {
+        getPNForLID: async (lid) => pnForLid.get(jidNormalizedUser(lid)) ?? null,
+        getLIDForPN: async (pn) => [...pnForLid].find(([, p]) => p === jidNormalizedUser(pn))?.[0] ?? null,
+      },
+    },
+  };
+
+  const mock = {
+    ev,
+    user: me,
+    calls,
+    get sent() {
+      return calls
+        .filter(c => c.method === 'sendMessage' && !c.args[1]?.react)
+        .map(({ args: [jid, content, options], result }) => ({ jid, content, options, message: result }));
+    },
+    get reactions() {
+      return calls
+        .filter(c => c.method === 'sendMessage' && c.args[1]?.react)
+        .map(({ args: [jid, { react }] }) => ({ jid, key: react.key, emoji: react.text }));
+    },
+    group: (jid) => metadata.get(toJid(jid, '@g.us')),
+    reset: () => {
+      calls.length = 0;
+    },
+    ...methods,
+  };
+
+  return new Proxy(mock, {
+    get: (target, prop) => {
+      if (prop in target) return target[prop];
+      if (typeof prop !== 'string' || prop === 'then') return undefined;
+      return async (...args) => record(prop, args, undefined);
+    },
+  });
+};
@@ -0,0 +1,63 @@
+import { setTimeout as sleep } from 'timers/promises';
+import { pluginManager, readRecording } from '#internals.js';
+import { createMockSocket } from './mock-socket.js';
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+export const replay = async (file, {
+  speed = 1,
+  session,
+  events = null,
+  filter = null,
+  signal = null,
+  socket = {},
+  ...options
+} = {}) => {
+  if (!(speed > 0)) throw new RangeError('[Replay] speed must be a positive number or Infinity');
+
+  const entries = (await readRecording(file)).filter(e => session === undefined || e.session === session);
+  const selected = events && new Set(events);
+  const user = entries.find(e => e.user)?.user;
+
+  const sock = createMockSocket({ ...socket, user: { ...user, ...socket.user } });
+  const manager = await pluginManager(sock, {
+    session: session ?? entries.find(e => e.event)?.session ?? null,
+    ...options,
+  });
+
+  let count = 0;
+  let previous = null;
+
+  try {
+    for (const entry of entries) {
+      signal?.throwIfAborted();
+
+      if (entry.user) {
+        Object.assign(sock.user, entry.user);
+        continue;
+      }
+      if (selected && !selected.has(entry.event)) continue;
+      if (filter && !filter(entry)) continue;
+
+      if (Number.isFinite(speed) && previous != null && entry.at > previous) {
+        await sleep((entry.at - previous) / speed, undefined, { signal });
+      }
+      previous = entry.at;
+
+      sock.ev.emit(entry.event, entry.data);
+      count++;
+      if (!Number.isFinite(speed)) await tick();
+    }
+    await manager.idle();
+  } catch (err) {
+    manager.destroy();
+    throw err;
+  }
+
+  return {
+    sock,
+    manager,
+    count,
+    destroy: () => manager.destroy(),
+  };
+};
@@ -0,0 +1,354 @@
+import type { AnyMessageContent, MiscMessageGenerationOptions, WASocket, WAMessage, WAMessageKey, WAPresence, proto } from 'baileys';
+
+export type PluginEvent =
+  | 'messaging-history.set' | 'chats.upsert' | 'chats.update' | 'chats.delete'
+  | 'contacts.upsert' | 'contacts.update' | 'messages.upsert' | 'messages.update'
+  | 'messages.delete' | 'messages.reaction' | 'message-receipt.update'
+  | 'groups.update' | 'group-participants.update' | 'connection.update'
+  | 'creds.update' | 'presence.update' | 'blocklist.set' | 'blocklist.update' | 'call';
+
+export type Duration = number | string;
+
+export interface Location {
+  latitude: number;
+  longitude: number;
+  name?: string;
+  address?: string;
+  url?: string;
+  accuracy?: number;
+  comment?: string;
+  isLive: boolean;
+}
+
+export interface Contact {
+  name?: string;
+  vcard?: string;
+  numbers: string[];
+  jids: string[];
+}
+
+export interface Poll {
+  id?: string;
+  key?: WAMessageKey;
+  name?: string;
+  options: string[];
+  selectableCount: number;
+  selected?: string[] | null;
+}
+
+export interface CalendarEvent {
+  name?: string;
+  description?: string;
+  location?: Location;
+  joinLink?: string;
+  startTime?: number;
+  endTime?: number;
+  isCanceled: boolean;
+}
+
+export interface MessageContent {
+  body?: string;
+  selectedId?: string;
+  poll?: Poll;
+  location?: Location;
+  contacts?: Contact[];
+  event?: CalendarEvent;
+  mentions?: string[];
+  groupMentions?: proto.IGroupMention[];
+  mimetype?: string;
+  fileName?: string;
+  pageCount?: number;
+  fileLength?: number;
+  hash?: string;
+  isViewOnce?: boolean;
+  url?: string;
+  description?: string;
+  thumbnail?: Uint8Array;
+}
+
+export interface QuotedMessage extends MessageContent {
+  type: string;
+  jid: string;
+  id: string;
+  key: WAMessageKey;
+  contextInfo: { stanzaId: string; participant: string; remoteJid: string };
+  raw: WAMessage;
+  load(): Promise<Buffer>;
+  senderIs(jid: string): boolean;
+  pn(): Promise<string | null>;
+  reply(content: ReplyContent, options?: MiscMessageGenerationOptions): Promise<MessageContext | undefined>;
+}
+
+export type ReplyContent = string | AnyMessageContent;
+
+export interface MessageContext extends MessageContent {
+  type: string;
+  name?: string;
+  id: string;
+  broadcast?: boolean;
+  isForwarded?: boolean;
+  forwardingScore?: number;
+  fromMe: boolean;
+  jid: string;
+  roomId: string;
+  timestamp: number;
+  isLid: boolean;
+  device: string;
+  isGroup: boolean;
+  timeString: string;
+  key: WAMessageKey;
+  raw: WAMessage;
+  contextInfo: { stanzaId: string; participant: string; remoteJid: string };
+  quoted?: QuotedMessage;
+  load(): Promise<Buffer>;
+  senderIs(jid: string): boolean;
+  pn(): Promise<string | null>;
+  reply(content: ReplyContent, options?: MiscMessageGenerationOptions): Promise<MessageContext | undefined>;
+  react(emoji: string): Promise<MessageContext | undefined>;
+  edit(content: ReplyContent): Promise<MessageContext | undefined>;
+  delete(): Promise<MessageContext | undefined>;
+  forward(jid: string, options?: MiscMessageGenerationOptions): Promise<MessageContext | undefined>;
+  typing(state?: boolean | WAPresence): Promise<void>;
+}
+
+export interface EventContext {
+  jid: string | null;
+  roomId: string;
+  isGroup: boolean;
+  isLid: boolean;
+  raw: unknown;
+  senderIs(jid: string): boolean;
+  pn(): Promise<string | null>;
+  reply(content: ReplyContent, options?: MiscMessageGenerationOptions): Promise<MessageContext | undefined>;
+  typing(state?: boolean | WAPresence): Promise<void>;
+}
+
+export interface ReactionContext extends EventContext {
+  type: 'reaction';
+  id: string;
+  emoji: string | null;
+  removed: boolean;
+  fromMe: boolean;
+  timestamp?: number;
+  key: WAMessageKey;
+  reaction: proto.IReaction;
+  target: MessageContext | null;
+  react(emoji: string): Promise<MessageContext | undefined>;
+}
+
+export type MessageStatus = 'error' | 'pending' | 'sent' | 'delivered' | 'read' | 'played';
+
+export interface UpdateContext extends EventContext {
+  type: 'update';
+  action: 'edit' | 'delete' | 'poll' | 'status' | 'update';
+  id: string;
+  fromMe: boolean;
+  status: MessageStatus | null;
+  body?: string;
+  key: WAMessageKey;
+  update: Partial<WAMessage>;
+  message: MessageContext | null;
+  target: MessageContext | null;
+  react(emoji: string): Promise<MessageContext | undefined>;
+}
+
+export interface Participant {
+  jid: string;
+  pn: string | null;
+  tag: string;
+  isLid: boolean;
+  admin: 'admin' | 'superadmin' | null;
+}
+
+export interface ParticipantsContext extends EventContext {
+  type: 'participants';
+  action: 'join' | 'leave' | 'promote' | 'demote' | 'modify';
+  author: string | null;
+  participants: Participant[];
+  self: boolean;
+  subject: string | null;
+}
+
+export interface GroupUpdateContext extends EventContext {
+  type: 'group';
+  author: string | null;
+  changes: Record<string, unknown>;
+  changed: string[];
+  subject: string | null;
+}
+
+export interface CallContext extends EventContext {
+  type: 'call';
+  id: string;
+  status: 'offer' | 'ringing' | 'timeout' | 'reject' | 'accept' | 'terminate';
+  isOffer: boolean;
+  isVideo: boolean;
+  offline: boolean;
+  timestamp?: number;
+  reject(): Promise<void>;
+}
+
+export interface PresenceContext extends EventContext {
+  type: 'presence';
+  presence: WAPresence | null;
+  presences: { jid: string; presence: WAPresence | null; lastSeen: number | null }[];
+}
+
+export interface EventContexts {
+  'messages.upsert': MessageContext;
+  'messages.update': UpdateContext;
+  'messages.reaction': ReactionContext;
+  'group-participants.update': ParticipantsContext;
+  'groups.update': GroupUpdateContext;
+  'call': CallContext;
+  'presence.update': PresenceContext;
+}
+
+export interface Match {
+  match: string | RegExpExecArray;
+  prefix: string | null;
+  rest: string;
+  subcommand?: string[];
+}
+
+export interface StoreOptions {
+  ttl?: Duration;
+}
+
+export interface PluginStore {
+  readonly namespace: string;
+  get<T = unknown>(key: string): T | undefined;
+  has(key: string): boolean;
+  put<T = unknown>(key: string, value: T, options?: StoreOptions): Promise<T>;
+  delete(key: string): Promise<boolean>;
+  increment(key: string, by?: number, options?: StoreOptions): Promise<number>;
+  range<T = unknown>(options?: { start?: string; end?: string; limit?: number; reverse?: boolean }): Iterable<{ key: string; value: T }>;
+  scope(...parts: string[]): PluginStore;
+  prune(): Promise<number>;
+  clear(): Promise<number>;
+}
+
+export interface CollectorOptions {
+  roomId?: string;
+  from?: string | string[];
+  filter?: (ctx: MessageContext) => boolean;
+  timeout?: Duration;
+  max?: number;
+  consume?: boolean;
+  signal?: AbortSignal;
+}
+
+export interface MessageCollector extends AsyncIterable<MessageContext> {
+  readonly collected: MessageContext[];
+  readonly reason: string | null;
+  readonly active: boolean;
+  readonly ended: Promise<{ reason: string; collected: MessageContext[] }>;
+  next(): Promise<MessageContext | null>;
+  stop(reason?: string): void;
+}
+
+export interface PluginContext extends MessageContext {
+  _match?: Match;
+  _plugin: PluginMeta;
+  _event: PluginEvent;
+  _manager: unknown;
+  args?: Record<string, unknown>;
+  store: PluginStore;
+  signal: AbortSignal;
+  stop(): void;
+  collect(options?: CollectorOptions): MessageCollector;
+  awaitReply(options?: CollectorOptions): Promise<MessageContext | null>;
+}
+
+export interface ScheduleContext {
+  scheduledAt: number;
+  lastRun: number | null;
+  session: number | null;
+  store: PluginStore;
+  signal: AbortSignal;
+}
+
+export type ArgType = 'string' | 'number' | 'duration' | 'mention' | 'flag' | 'rest';
+
+export interface ArgDefinition {
+  name: string;
+  type?: ArgType;
+  required?: boolean;
+  default?: unknown;
+  choices?: unknown[];
+  flag?: boolean;
+  alias?: string | string[];
+}
+
+export type RateLimit = string | { max: number; window: Duration };
+export type LimitScopes<T> = T | { perUser?: T; perChat?: T; global?: T };
+
+export type GuardHook<T> = (sock: WASocket, ctx: PluginContext, info: T & { plugin: string; event: PluginEvent }) => unknown;
+
+export interface Subcommands {
+  [name: string]: PluginHandler & Partial<Pick<PluginOptions, 'args' | 'permissions' | 'aliases' | 'description' | 'usage' | 'subcommands'>> | Subcommands;
+}
+
+export interface PluginOptions {
+  match?: (string | RegExp)[];
+  prefix?: string | string[] | false;
+  aliases?: string[];
+  strict?: boolean;
+  subcommands?: Subcommands;
+  events?: PluginEvent[];
+  enabled?: boolean;
+  sessions?: number[] | ((session: number | null) => boolean);
+  chat?: 'group' | 'private';
+  types?: string[];
+  fromMe?: boolean;
+  groups?: string[];
+  ignoreForwarded?: boolean;
+  requireQuoted?: boolean;
+  permissions?: string | string[];
+  onDenied?: GuardHook<{ permission: string }>;
+  cooldown?: LimitScopes<Duration>;
+  rateLimit?: LimitScopes<RateLimit>;
+  onLimited?: GuardHook<{ scope: string; wait: number }>;
+  args?: ArgDefinition[];
+  onInvalid?: GuardHook<{ error: Error; usage: string }>;
+  description?: string;
+  usage?: string;
+  category?: string;
+  examples?: string[];
+  hidden?: boolean;
+  priority?: number;
+  fallback?: boolean;
+  schedule?: string;
+  every?: Duration;
+  timeZone?: string;
+  catchUp?: boolean;
+  timeout?: Duration;
+  concurrency?: number | { perUser?: number; perChat?: number; global?: number };
+  isolate?: boolean;
+}
+
+export interface PluginMeta {
+  id: string;
+  root: string | null;
+  parent: string | null;
+  filePath: string | null;
+  events: PluginEvent[];
+  priority: number;
+  fallback: boolean;
+  timeout: number;
+  disabled?: boolean;
+  [key: string]: unknown;
+}
+
+export type PluginHandler<C = PluginContext> = (sock: WASocket, ctx: C, event: PluginEvent | 'schedule') => unknown;
+
+export type Plugin<C = PluginContext> = PluginHandler<C> & PluginOptions;
+
+export type Middleware = (sock: WASocket, ctx: PluginContext, next: () => Promise<void>) => unknown;
+
+export interface LifecycleHooks {
+  onLoad?(info: { file: string; filePath: string; parent: string | null; plugins: string[]; logger: unknown }): unknown;
+  onUnload?(): unknown;
+  onAttach?(sock: WASocket): unknown;
+  onDetach?(sock: WASocket): unknown;
+}
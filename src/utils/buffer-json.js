@@ -1,5 +1,10 @@
 import { BufferJSON } from 'baileys';
 
+// protobuf Longs (timestamps, file lengths) would otherwise become { low, high, unsigned }
+const isLong = (value) => typeof value?.toNumber === 'function' && 'low' in value && 'high' in value;
+
+const messageReplacer = (key, value) => isLong(value) ? value.toNumber() : BufferJSON.replacer(key, value);
+
 export const serialize = (data) => {
   if (data == null) return null;
   try {
@@ -23,4 +28,13 @@ export const deserialize = (json) => {
   } catch (err) {
     throw new Error(`Deserialization failed: ${err.message}`, { cause: err });
   }
-};
\ No newline at end of file
+};
+
+export const serializeMessage = (data) => {
+  if (data == null) return null;
+  try {
+    return JSON.stringify(data, messageReplacer);
+  } catch (err) {
+    throw new Error(`Serialization failed: ${err.message}`, { cause: err });
+  }
+};
@@ -0,0 +1,31 @@
+import { isString } from './type-conversions.js';
+
+const UNITS = {
+  ms: 1,
+  s: 1000, sec: 1000, secs: 1000, second: 1000, seconds: 1000,
+  m: 60_000, min: 60_000, mins: 60_000, minute: 60_000, minutes: 60_000,
+  h: 3_600_000, hr: 3_600_000, hrs: 3_600_000, hour: 3_600_000, hours: 3_600_000,
+  d: 86_400_000, day: 86_400_000, days: 86_400_000,
+  w: 604_800_000, week: 604_800_000, weeks: 604_800_000,
+};
+
+const TOKEN = /(\d*\.?\d+)?([a-z]+)/g;
+
+export const parseDuration = (input) => {
+  if (typeof input === 'number') return input >= 0 ? input : NaN;
+  if (!isString(input)) return NaN;
+
+  const str = input.trim().toLowerCase().replace(/\s+/g, '');
+  if (/^\d*\.?\d+$/.test(str)) return Number(str);
+
+  let total = 0;
+  let consumed = 0;
+
+  for (const [token, amount, unit] of str.matchAll(TOKEN)) {
+    if (!UNITS[unit]) return NaN;
+    total += (amount ? Number(amount) : 1) * UNITS[unit];
+    consumed += token.length;
+  }
+
+  return consumed && consumed === str.length ? total : NaN;
+};
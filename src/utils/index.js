@@ -2,4 +2,5 @@ export * from './buffer-json.js';
 export * from './pause-spinner.js';
 export * from './time-string.js';
 export * from './type-conversions.js';
-export * from './get-pn.js';
\ No newline at end of file
+export * from './get-pn.js';
+export * from './duration.js';
\ No newline at end of file
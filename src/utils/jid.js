@@ -0,0 +1 @@
+export const userOf = (jid) => jid?.split('@')[0].split(':')[0];
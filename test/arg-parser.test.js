@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { ArgumentError, compileArgs, formatUsage, parseArgs } from '../src/internals/arg-parser.js';
+
+const ban = compileArgs([
+  { name: 'user', type: 'mention', required: true },
+  { name: 'time', type: 'duration', default: '1h' },
+  { name: 'reason', type: 'rest' },
+  { name: 'silent', type: 'flag', alias: 's' },
+]);
+
+test('parses positionals, flags and the rest of the line', () => {
+  assert.deepEqual(parseArgs(ban, '@212600000000 30m -s "spam" and flooding', {}), {
+    user: '212600000000@s.whatsapp.net',
+    time: 1_800_000,
+    silent: true,
+    reason: '"spam" and flooding',
+  });
+});
+
+test('fills in defaults and the quoted sender', () => {
+  assert.deepEqual(parseArgs(ban, '', { quoted: { jid: '212611111111@s.whatsapp.net' } }), {
+    user: '212611111111@s.whatsapp.net',
+    time: 3_600_000,
+    reason: undefined,
+    silent: false,
+  });
+});
+
+test('prefers a mentioned jid over a built one', () => {
+  const args = parseArgs(ban, '@212600000000', { mentions: ['212600000000@lid'] });
+  assert.equal(args.user, '212600000000@lid');
+});
+
+test('named options take inline or following values', () => {
+  const schema = compileArgs([
+    { name: 'query', required: true },
+    { name: 'count', type: 'number', flag: true, default: 1 },
+    { name: 'sort', flag: true, choices: ['new', 'top'] },
+  ]);
+
+  assert.deepEqual(parseArgs(schema, '"two words" --count=5 --sort top', {}), { query: 'two words', count: 5, sort: 'top' });
+  assert.deepEqual(parseArgs(schema, 'cats', {}), { query: 'cats', count: 1, sort: undefined });
+});
+
+test('invalid input throws an ArgumentError naming the argument', () => {
+  const schema = compileArgs([
+    { name: 'amount', type: 'number', required: true },
+    { name: 'mode', choices: ['fast', 'slow'] },
+  ]);
+  const fails = (input, message) => assert.throws(
+    () => parseArgs(schema, input, {}),
+    (err) => err instanceof ArgumentError && message.test(err.message)
+  );
+
+  fails('', /^Missing `amount`$/);
+  fails('lots', /`amount` must be a number/);
+  fails('5 medium', /`mode` must be one of: fast, slow/);
+  fails('5 fast extra', /Unexpected argument `extra`/);
+  fails('5 --verbose', /Unknown option `--verbose`/);
+  assert.throws(() => parseArgs(ban, 'bob', {}), /`user` must be a mention/);
+  assert.throws(() => parseArgs(ban, '@212600000000 soon', {}), /`time` must be a duration/);
+});
+
+test('compileArgs rejects malformed schemas', () => {
+  assert.equal(compileArgs(null), null);
+  assert.throws(() => compileArgs({}), /Schema must be an array/);
+  assert.throws(() => compileArgs([{ type: 'string' }]), /missing a name/);
+  assert.throws(() => compileArgs([{ name: 'x', type: 'date' }]), /Unknown type for x: date/);
+  assert.throws(() => compileArgs([{ name: 'a', type: 'rest' }, { name: 'b' }]), /`rest` must be the last/);
+});
+
+test('formatUsage marks required, rest and flag arguments', () => {
+  assert.equal(formatUsage(ban, '.ban'), '.ban <user> [time] [reason...] [--silent]');
+  assert.equal(
+    formatUsage(compileArgs([{ name: 'count', type: 'number', flag: true }])),
+    '[--count <number>]'
+  );
+});
@@ -0,0 +1,204 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, test } from 'node:test';
+import { EventRecorder } from '@shoru/kitten';
+import { createTestBot, replay, text } from '@shoru/kitten/testing';
+
+const GROUP = '120363000000000000';
+const OWNER = '30000000000';
+
+const texts = (sent) => sent.map(s => s.content.text);
+
+let bot;
+
+afterEach(async () => {
+  await bot?.destroy();
+  bot = null;
+});
+
+test('permissions skip the plugin and reply with the denied message', async () => {
+  bot = await createTestBot({
+    plugins: {
+      'admin.js': `
+        export const shutdown = (sock, ctx) => ctx.reply('bye');
+        shutdown.match = ['shutdown'];
+        shutdown.permissions = 'owner';
+
+        export const vip = (sock, ctx) => ctx.reply('welcome');
+        vip.match = ['vip'];
+        vip.permissions = ['vip'];
+      `,
+    },
+    config: {
+      owners: [OWNER],
+      plugins: { permissions: { denied: 'Not allowed', roles: { vip: (sock, ctx) => ctx.jid.startsWith('4') } } },
+    },
+  });
+
+  assert.deepEqual(texts(await bot.send('.shutdown')), ['Not allowed']);
+  assert.deepEqual(texts(await bot.send('.shutdown', { from: OWNER })), ['bye']);
+  assert.deepEqual(texts(await bot.send('.vip')), ['Not allowed']);
+  assert.deepEqual(texts(await bot.send('.vip', { from: '40000000000' })), ['welcome']);
+});
+
+test('cooldowns limit each sender and notify once per window', async () => {
+  bot = await createTestBot({
+    plugins: {
+      'dl.js': `
+        export const dl = (sock, ctx) => ctx.reply('done');
+        dl.match = ['dl'];
+        dl.cooldown = '1m';
+      `,
+    },
+    config: { plugins: { limits: { message: 'Wait {wait}s' } } },
+  });
+
+  assert.deepEqual(texts(await bot.send('.dl')), ['done']);
+  assert.deepEqual(texts(await bot.send('.dl')), ['Wait 60s']);
+  assert.deepEqual(texts(await bot.send('.dl')), []);
+  assert.deepEqual(texts(await bot.send('.dl', { from: OWNER })), ['done']);
+});
+
+test('higher priority runs first and ctx.stop() ends the dispatch', async () => {
+  bot = await createTestBot({
+    plugins: {
+      'order.js': `
+        export const first = (sock, ctx) => { ctx.reply('first'); if (ctx.body.includes('stop')) ctx.stop(); };
+        first.match = ['go'];
+        first.priority = 10;
+
+        export const second = (sock, ctx) => ctx.reply('second');
+        second.match = ['go'];
+
+        export const unknown = (sock, ctx) => ctx.reply('unknown');
+        unknown.fallback = true;
+      `,
+    },
+  });
+
+  assert.deepEqual(texts(await bot.send('.go')), ['first', 'second']);
+  assert.deepEqual(texts(await bot.send('.go stop')), ['first']);
+  assert.deepEqual(texts(await bot.send('.nope')), ['unknown']);
+});
+
+test('toggles disable a plugin per chat', async () => {
+  bot = await createTestBot({
+    plugins: { 'fun.js': `export const meme = (sock, ctx) => ctx.reply('lol'); meme.match = ['meme'];` },
+  });
+
+  await bot.manager.disable('fun:meme', { chat: `${GROUP}@g.us` });
+  assert.deepEqual(texts(await bot.send('.meme', { chat: GROUP })), []);
+  assert.deepEqual(texts(await bot.send('.meme')), ['lol']);
+  assert.deepEqual(bot.manager.disabled({ chat: `${GROUP}@g.us` }), ['fun:meme']);
+
+  await bot.manager.enable('fun:meme', { chat: `${GROUP}@g.us` });
+  assert.deepEqual(texts(await bot.send('.meme', { chat: GROUP })), ['lol']);
+});
+
+test('sessions restrict plugins to some managers', async () => {
+  bot = await createTestBot({
+    session: 1,
+    plugins: {
+      'sets.js': `
+        export const main = (sock, ctx) => ctx.reply('main');
+        main.match = ['who'];
+        main.sessions = [0];
+
+        export const support = (sock, ctx) => ctx.reply('support');
+        support.match = ['who'];
+        support.sessions = (session) => session !== 0;
+      `,
+    },
+  });
+
+  assert.deepEqual(texts(await bot.send('.who')), ['support']);
+});
+
+test('isolated plugins run in a worker with a restricted socket', async () => {
+  bot = await createTestBot({
+    plugins: {
+      'iso.js': `
+        import { threadId } from 'node:worker_threads';
+
+        export const iso = async (sock, ctx) => {
+          const denied = await sock.logout().then(() => 'allowed', err => err.message);
+          await ctx.store.put('runs', 1);
+          await ctx.reply(threadId === 0 ? 'main' : 'worker');
+          await sock.sendMessage(ctx.roomId, { text: denied });
+        };
+        iso.match = ['iso'];
+        iso.isolate = true;
+      `,
+    },
+  });
+
+  assert.deepEqual(texts(await bot.send('.iso')), [
+    'worker',
+    '[Isolate] sock.logout is not available in isolated plugins',
+  ]);
+  assert.equal(bot.manager.get('iso:iso').storage.get('runs'), 1);
+  assert.ok(!bot.sock.calls.some(c => c.method === 'logout'));
+});
+
+test('replay feeds a recording to a fresh manager', async () => {
+  bot = await createTestBot({
+    plugins: { 'ping.js': `export const ping = (sock, ctx) => ctx.reply('pong'); ping.match = ['ping'];` },
+  });
+  const file = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'kitten-replay-')), 'session.jsonl');
+
+  const recorder = new EventRecorder(bot.sock, { file, session: 0 }).start();
+  await bot.send('.ping');
+  await bot.send('hello');
+  await recorder.stop();
+  assert.equal(recorder.count, 2);
+
+  const replayed = await replay(file, { speed: Infinity });
+  try {
+    assert.equal(replayed.count, 2);
+    assert.deepEqual(texts(replayed.sock.sent), ['pong']);
+  } finally {
+    replayed.destroy();
+    await fs.rm(path.dirname(file), { recursive: true, force: true });
+  }
+});
+
+test('group events reach plugins as contexts', async () => {
+  bot = await createTestBot({
+    groups: { [GROUP]: { subject: 'Kittens', participants: ['20000000000'] } },
+    plugins: {
+      'events.js': `
+        export const welcome = (sock, ctx) => ctx.reply(ctx.action + ' ' + ctx.participants.map(p => p.tag).join(' ') + ' in ' + ctx.subject);
+        welcome.events = ['group-participants.update'];
+
+        export const renamed = (sock, ctx) => ctx.reply(ctx.changed.join() + ': ' + ctx.subject);
+        renamed.events = ['groups.update'];
+      `,
+    },
+  });
+
+  const jid = `${GROUP}@g.us`;
+  await bot.emit('group-participants.update', { id: jid, author: '20000000000@s.whatsapp.net', participants: ['40000000000@s.whatsapp.net'], action: 'add' });
+  await bot.emit('groups.update', [{ id: jid, subject: 'Cats' }]);
+
+  assert.deepEqual(texts(bot.sock.sent), ['join @40000000000 in Kittens', 'subject: Cats']);
+  assert.deepEqual(bot.sock.sent[0].content.mentions, ['40000000000@s.whatsapp.net']);
+});
+
+test('button replies match plugins by selectedId', async () => {
+  bot = await createTestBot({
+    plugins: {
+      'menu.js': `
+        export const pick = (sock, ctx) => ctx.reply('picked ' + ctx.selectedId + ' (' + ctx.body + ')');
+        pick.match = ['menu_1', 'menu_2'];
+      `,
+    },
+  });
+
+  const raw = text('');
+  raw.message = { buttonsResponseMessage: { selectedButtonId: 'menu_2', selectedDisplayText: 'Second' } };
+
+  assert.deepEqual(texts(await bot.send(raw)), ['picked menu_2 (Second)']);
+  assert.deepEqual(texts(await bot.send('menu_2')), []);
+});
@@ -0,0 +1,25 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { parseDuration } from '../src/utils/duration.js';
+
+test('numbers are milliseconds', () => {
+  assert.equal(parseDuration(1500), 1500);
+  assert.equal(parseDuration(0), 0);
+  assert.ok(Number.isNaN(parseDuration(-1)));
+  assert.equal(parseDuration('250'), 250);
+});
+
+test('units add up', () => {
+  assert.equal(parseDuration('1m30s'), 90_000);
+  assert.equal(parseDuration('2h'), 7_200_000);
+  assert.equal(parseDuration('1.5h'), 5_400_000);
+  assert.equal(parseDuration('1w 2d'), 777_600_000);
+  assert.equal(parseDuration(' 10 Minutes '), 600_000);
+  assert.equal(parseDuration('5ms'), 5);
+});
+
+test('anything else is NaN', () => {
+  for (const input of ['soon', '10x', '5m later', '', null, undefined, {}]) {
+    assert.ok(Number.isNaN(parseDuration(input)), String(input));
+  }
+});
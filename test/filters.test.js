@@ -0,0 +1,31 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { compileFilters } from '../src/internals/filters.js';
+
+test('no filters compile to null', () => {
+  assert.equal(compileFilters({}), null);
+});
+
+test('chat restricts to groups or private chats', () => {
+  const group = compileFilters({ chat: 'group' });
+  assert.equal(group({ isGroup: true }), true);
+  assert.equal(group({ isGroup: false }), false);
+  assert.equal(compileFilters({ chat: 'private' })({ isGroup: false }), true);
+  assert.throws(() => compileFilters({ chat: 'channel' }), /\[Filters\] Invalid chat/);
+});
+
+test('types, fromMe and groups compare against the context', () => {
+  const filter = compileFilters({ types: 'imageMessage', fromMe: false, groups: ['1@g.us'] });
+  assert.equal(filter({ type: 'imageMessage', fromMe: false, roomId: '1@g.us' }), true);
+  assert.equal(filter({ type: 'videoMessage', fromMe: false, roomId: '1@g.us' }), false);
+  assert.equal(filter({ type: 'imageMessage', fromMe: true, roomId: '1@g.us' }), false);
+  assert.equal(filter({ type: 'imageMessage', fromMe: false, roomId: '2@g.us' }), false);
+  assert.throws(() => compileFilters({ fromMe: 'yes' }), /\[Filters\] Invalid fromMe/);
+});
+
+test('ignoreForwarded and requireQuoted', () => {
+  const filter = compileFilters({ ignoreForwarded: true, requireQuoted: true });
+  assert.equal(filter({ quoted: {} }), true);
+  assert.equal(filter({ quoted: {}, isForwarded: true }), false);
+  assert.equal(filter({}), false);
+});
@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { RateLimiter, compileLimits } from '../src/internals/rate-limiter.js';
+
+const alice = { jid: 'alice@s.whatsapp.net', roomId: 'room@g.us' };
+const bob = { jid: 'bob@s.whatsapp.net', roomId: 'room@g.us' };
+
+test('compileLimits turns cooldowns and rates into windows', () => {
+  assert.deepEqual(compileLimits('5s'), [{ scope: 'perUser', max: 1, window: 5000 }]);
+  assert.deepEqual(compileLimits({ perChat: 2000 }, { perUser: '10/1m', global: { max: 100, window: '1h' } }), [
+    { scope: 'perChat', max: 1, window: 2000 },
+    { scope: 'perUser', max: 10, window: 60_000 },
+    { scope: 'global', max: 100, window: 3_600_000 },
+  ]);
+  assert.deepEqual(compileLimits(null, null), []);
+});
+
+test('compileLimits rejects unknown scopes and bad values', () => {
+  assert.throws(() => compileLimits({ perGroup: '5s' }), /\[RateLimiter\] Unknown cooldown scope: perGroup/);
+  assert.throws(() => compileLimits('soon'), /Invalid cooldown for perUser/);
+  assert.throws(() => compileLimits(null, '0/1m'), /Invalid rateLimit for perUser/);
+});
+
+test('consume blocks a subject once its window is full', () => {
+  const limiter = new RateLimiter();
+  const limits = compileLimits('1m');
+
+  assert.equal(limiter.consume('ping', limits, alice), null);
+  const limited = limiter.consume('ping', limits, alice);
+  assert.equal(limited.scope, 'perUser');
+  assert.equal(limited.notify, true);
+  assert.ok(limited.wait > 59_000 && limited.wait <= 60_000);
+
+  assert.equal(limiter.consume('ping', limits, alice).notify, false);
+  assert.equal(limiter.consume('ping', limits, bob), null);
+  assert.equal(limiter.consume('pong', limits, alice), null);
+});
+
+test('consume records nothing when any scope is limited', () => {
+  const limiter = new RateLimiter();
+  const limits = compileLimits(null, { perUser: '5/1m', perChat: '2/1m' });
+
+  assert.equal(limiter.consume('ping', limits, alice), null);
+  assert.equal(limiter.consume('ping', limits, bob), null);
+  assert.equal(limiter.consume('ping', limits, alice).scope, 'perChat');
+  assert.equal(limiter.consume('ping', limits, { ...alice, roomId: 'other@g.us' }), null);
+});
+
+test('windows slide and reset clears counters', async () => {
+  const limiter = new RateLimiter();
+  const limits = compileLimits(50);
+
+  limiter.consume('ping', limits, alice);
+  assert.notEqual(limiter.consume('ping', limits, alice), null);
+  await sleep(60);
+  assert.equal(limiter.consume('ping', limits, alice), null);
+
+  limiter.reset('ping');
+  assert.equal(limiter.consume('ping', limits, alice), null);
+  assert.equal(limiter.consume('ping', [], alice), null);
+});
@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import '#internals.js';
+import { compileSchedule, nextRun, parseCron } from '../src/internals/scheduler.js';
+
+const cron = (expression, timeZone = 'UTC') => ({ cron: parseCron(expression), interval: null, timeZone });
+
+const runs = (schedule, from, count) => {
+  const times = [];
+  let time = Date.parse(from);
+  for (let i = 0; i < count; i++) {
+    time = nextRun(schedule, time);
+    times.push(new Date(time).toISOString());
+  }
+  return times;
+};
+
+test('parseCron expands lists, ranges, steps, names and macros', () => {
+  const parsed = parseCron('*/15 9-17/4 1,15 jan-mar mon-fri');
+  assert.deepEqual([...parsed.minute.values], [0, 15, 30, 45]);
+  assert.deepEqual([...parsed.hour.values], [9, 13, 17]);
+  assert.deepEqual([...parsed.day.values], [1, 15]);
+  assert.deepEqual([...parsed.month.values], [1, 2, 3]);
+  assert.deepEqual([...parsed.weekday.values], [1, 2, 3, 4, 5]);
+  assert.equal(parsed.weekday.any, false);
+
+  assert.deepEqual([...parseCron('0 0 * * 7').weekday.values], [0]);
+  assert.deepEqual(parseCron('@daily'), parseCron('0 0 * * *'));
+  assert.deepEqual([...parseCron('5/20 * * * *').minute.values], [5, 25, 45]);
+});
+
+test('parseCron rejects malformed expressions', () => {
+  assert.throws(() => parseCron('* * * *'), /Invalid cron expression/);
+  assert.throws(() => parseCron('60 * * * *'), /Invalid minute: 60/);
+  assert.throws(() => parseCron('* * * foo *'), /Invalid month: foo/);
+  assert.throws(() => parseCron('*/0 * * * *'), /Invalid minute step/);
+  assert.throws(() => parseCron('5-2 * * * *'), /Invalid minute range: 5-2/);
+});
+
+test('nextRun steps through a cron in its time zone', () => {
+  assert.deepEqual(runs(cron('30 9 * * *', 'America/New_York'), '2024-06-01T00:00:00Z', 2), [
+    '2024-06-01T13:30:00.000Z',
+    '2024-06-02T13:30:00.000Z',
+  ]);
+  assert.deepEqual(runs(cron('0 0 1 */6 *'), '2024-02-10T00:00:00Z', 2), [
+    '2024-07-01T00:00:00.000Z',
+    '2025-01-01T00:00:00.000Z',
+  ]);
+});
+
+test('a restricted day and weekday match when either does', () => {
+  assert.deepEqual(runs(cron('0 0 13 * 5'), '2024-01-01T00:00:00Z', 4), [
+    '2024-01-05T00:00:00.000Z',
+    '2024-01-12T00:00:00.000Z',
+    '2024-01-13T00:00:00.000Z',
+    '2024-01-19T00:00:00.000Z',
+  ]);
+  assert.deepEqual(runs(cron('0 0 13 * *'), '2024-01-01T00:00:00Z', 2), [
+    '2024-01-13T00:00:00.000Z',
+    '2024-02-13T00:00:00.000Z',
+  ]);
+  assert.deepEqual(runs(cron('0 0 * * 5'), '2024-01-01T00:00:00Z', 2), [
+    '2024-01-05T00:00:00.000Z',
+    '2024-01-12T00:00:00.000Z',
+  ]);
+});
+
+test('a time skipped by spring forward does not run that day', () => {
+  assert.deepEqual(runs(cron('30 2 * * *', 'Europe/Paris'), '2024-03-30T12:00:00Z', 2), [
+    '2024-04-01T00:30:00.000Z',
+    '2024-04-02T00:30:00.000Z',
+  ]);
+});
+
+test('a time repeated by fall back runs once, unless the hour is a wildcard', () => {
+  assert.deepEqual(runs(cron('30 2 * * *', 'Europe/Paris'), '2024-10-26T12:00:00Z', 2), [
+    '2024-10-27T00:30:00.000Z',
+    '2024-10-28T01:30:00.000Z',
+  ]);
+  assert.deepEqual(runs(cron('30 * * * *', 'Europe/Paris'), '2024-10-26T23:45:00Z', 3), [
+    '2024-10-27T00:30:00.000Z',
+    '2024-10-27T01:30:00.000Z',
+    '2024-10-27T02:30:00.000Z',
+  ]);
+});
+
+test('intervals add to the previous run', () => {
+  const schedule = compileSchedule({ every: '10m' }, 'UTC');
+  assert.equal(nextRun(schedule, 1000), 601_000);
+});
+
+test('compileSchedule validates before anything is registered', () => {
+  assert.equal(compileSchedule({}, 'UTC'), null);
+  assert.equal(compileSchedule({ schedule: '@hourly', timeZone: 'Asia/Tokyo' }, 'UTC').timeZone, 'Asia/Tokyo');
+  assert.equal(compileSchedule({ schedule: '@hourly', catchUp: false }, 'UTC').catchUp, false);
+  assert.throws(() => compileSchedule({ schedule: '0 0 31 2 *' }, 'UTC'), /never fires/);
+  assert.throws(() => compileSchedule({ schedule: '@daily', every: '1h' }, 'UTC'), /either `schedule` or `every`/);
+  assert.throws(() => compileSchedule({ every: 'soon' }, 'UTC'), /Invalid interval: soon/);
+});
@@ -0,0 +1,51 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { compileSubcommands, listSubcommands, routeSubcommand } from '../src/internals/subcommands.js';
+
+const add = Object.assign(() => {}, {
+  aliases: ['a'],
+  description: 'Add a member',
+  args: [{ name: 'user', type: 'mention', required: true }],
+  permissions: 'group-admin',
+});
+const give = () => {};
+const take = Object.assign(() => {}, { usage: '.team role take <user>' });
+
+const tree = compileSubcommands({ add, role: { give, take } });
+
+test('routes the longest matching path and keeps the rest', () => {
+  assert.deepEqual(
+    (({ path, rest, handler }) => ({ path, rest, handler }))(routeSubcommand(tree, 'role give @212600000000')),
+    { path: ['role', 'give'], rest: ' @212600000000', handler: give }
+  );
+  assert.equal(routeSubcommand(tree, 'A @212600000000').handler, add);
+  assert.equal(routeSubcommand(tree, '  ADD').rest, '');
+});
+
+test('returns null when no handler matches', () => {
+  assert.equal(routeSubcommand(tree, 'role'), null);
+  assert.equal(routeSubcommand(tree, 'remove me'), null);
+  assert.equal(routeSubcommand(tree, ''), null);
+});
+
+test('compiles handler options', () => {
+  const entry = tree.get('add');
+  assert.equal(tree.get('a'), entry);
+  assert.deepEqual(entry.permissions, ['group-admin']);
+  assert.equal(entry.args.positional[0].name, 'user');
+  assert.equal(compileSubcommands(null), null);
+});
+
+test('rejects duplicates and invalid handlers', () => {
+  assert.throws(() => compileSubcommands({ add, a: give }), /Duplicate name: a/);
+  assert.throws(() => compileSubcommands({ role: { give: 'yes' } }), /Invalid handler for role give/);
+  assert.throws(() => compileSubcommands('add'), /Expected an object of handlers/);
+});
+
+test('lists every handler with its usage', () => {
+  assert.deepEqual(listSubcommands(tree, '.team').map(({ name, aliases, usage }) => ({ name, aliases, usage })), [
+    { name: 'add', aliases: ['a'], usage: '.team add <user>' },
+    { name: 'role give', aliases: [], usage: '.team role give' },
+    { name: 'role take', aliases: [], usage: '.team role take <user>' },
+  ]);
+});
@@ -0,0 +1,22 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { closest } from '../src/internals/suggest.js';
+
+const COMMANDS = ['ping', 'help', 'sticker', 'ban'];
+
+test('finds the nearest command', () => {
+  assert.equal(closest('pnig', COMMANDS), 'ping');
+  assert.equal(closest('stikcer', COMMANDS), 'sticker');
+  assert.equal(closest('hepl', COMMANDS), 'help');
+});
+
+test('counts a swap of neighbouring letters as one edit', () => {
+  assert.equal(closest('hlep', ['help']), 'help');
+  assert.equal(closest('hlpe', ['help']), null);
+});
+
+test('gives up when nothing is close enough', () => {
+  assert.equal(closest('weather', COMMANDS), null);
+  assert.equal(closest('x', COMMANDS), null);
+  assert.equal(closest('ping', []), null);
+});
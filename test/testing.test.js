@@ -0,0 +1,84 @@
+import assert from 'node:assert/strict';
+import { afterEach, test } from 'node:test';
+import { PluginManager } from '@shoru/kitten';
+import { createTestBot } from '@shoru/kitten/testing';
+
+const GROUP = '120363000000000000';
+
+const ping = `
+  export const ping = (sock, ctx) => sock.sendMessage(ctx.roomId, { text: 'pong' });
+  ping.match = ['ping'];
+`;
+
+let bot;
+
+afterEach(async () => {
+  await bot?.destroy();
+  bot = null;
+});
+
+test('send() returns the replies of matched plugins', async () => {
+  bot = await createTestBot({
+    plugins: { 'ping.js': ping },
+    groups: { [GROUP]: { subject: 'Test', participants: ['20000000000'] } },
+  });
+
+  const [reply] = await bot.send('.ping', { chat: GROUP });
+  assert.equal(reply.jid, `${GROUP}@g.us`);
+  assert.equal(reply.content.text, 'pong');
+  assert.deepEqual(await bot.send('hello', { chat: GROUP }), []);
+});
+
+test('send() with wait: false lets a plugin await the next reply', async () => {
+  bot = await createTestBot({
+    plugins: {
+      'ask.js': `
+        export const ask = async (sock, ctx) => {
+          const answer = ctx.awaitReply({ timeout: '5s' });
+          await ctx.reply('name?');
+          await ctx.reply('hi ' + (await answer)?.body);
+        };
+        ask.match = ['ask'];
+      `,
+    },
+  });
+
+  await bot.send('.ask', { from: '20000000000', wait: false });
+  while (!bot.sock.sent.length) await new Promise(setImmediate);
+  const [reply] = await bot.send('Kitty', { from: '20000000000' });
+
+  assert.deepEqual(bot.sock.sent.map(s => s.content.text), ['name?', 'hi Kitty']);
+  assert.equal(reply.content.text, 'hi Kitty');
+});
+
+test('emit() delivers non-message events as contexts', async () => {
+  bot = await createTestBot({
+    plugins: {
+      'react.js': `
+        export const seen = (sock, ctx) => ctx.reply(ctx.type + ' ' + ctx.emoji);
+        seen.events = ['messages.reaction'];
+      `,
+    },
+  });
+
+  const key = { remoteJid: `${GROUP}@g.us`, id: 'ABC', fromMe: true };
+  const calls = await bot.emit('messages.reaction', [{
+    key,
+    reaction: { key: { ...key, fromMe: false, participant: '20000000000@s.whatsapp.net' }, text: '👍' },
+  }]);
+
+  assert.deepEqual(calls.map(c => [c.method, c.args[1].text]), [['sendMessage', 'reaction 👍']]);
+});
+
+test('destroy() resets middleware and registered plugins', async () => {
+  bot = await createTestBot({ plugins: { 'ping.js': ping } });
+  PluginManager.use(async () => {});
+  bot.manager.register('echo', (sock, ctx) => ctx.reply(ctx.body), { match: ['echo'] });
+
+  assert.deepEqual(await bot.send('.ping'), []);
+  await bot.destroy();
+
+  bot = await createTestBot({ plugins: { 'ping.js': ping } });
+  assert.deepEqual((await bot.send('.ping')).map(s => s.content.text), ['pong']);
+  assert.deepEqual(await bot.send('.echo hi'), []);
+});